@@ -0,0 +1,162 @@
+// Orbit camera
+//
+// The camera circles a target point. Pitch, yaw and roll turn the scene
+// around the target, distance moves the eye in and out, and pan slides
+// the whole picture sideways in screen space. Angles are in radians.
+
+const CAMERA_ORBIT_SPEED = 0.01; // radians per pixel dragged
+const CAMERA_ZOOM_SPEED = 0.001; // per wheel delta unit
+
+// Create a camera
+function createOrbitCamera(options = {}) {
+    const camera = {
+        minDistance: options.minDistance || 2.0,
+        maxDistance: options.maxDistance || 50.0,
+        fieldOfView: options.fieldOfView || 45 * Math.PI / 180,
+        near: options.near || 0.1,
+        far: options.far || 100.0,
+        defaults: {
+            target: options.target ? options.target.slice() : [0, 0, 0],
+            distance: options.distance || 8.0,
+            pitch: options.pitch || 0,
+            yaw: options.yaw || 0,
+            roll: options.roll || 0,
+            pan: options.pan ? options.pan.slice() : [0, 0],
+        },
+    };
+    resetCamera(camera);
+    return camera;
+}
+
+// Put the camera back where it started
+function resetCamera(camera) {
+    const defaults = camera.defaults;
+    camera.target = defaults.target.slice();
+    camera.distance = defaults.distance;
+    camera.pitch = defaults.pitch;
+    camera.yaw = defaults.yaw;
+    camera.roll = defaults.roll;
+    camera.pan = defaults.pan.slice();
+}
+
+// View matrix: pan and back off, then turn the world around the target
+function getViewMatrix(camera, out = mat4.create()) {
+    mat4.identity(out);
+    mat4.translate(out, out, [camera.pan[0], camera.pan[1], -camera.distance]);
+    mat4.rotateX(out, out, camera.pitch);
+    mat4.rotateY(out, out, camera.yaw);
+    mat4.rotateZ(out, out, camera.roll);
+    mat4.translate(out, out, [-camera.target[0], -camera.target[1], -camera.target[2]]);
+    return out;
+}
+
+// Keep an angle within [-PI, PI] so it lines up with the rotation sliders
+function wrapAngle(angle) {
+    return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
+function orbitCamera(camera, deltaYaw, deltaPitch) {
+    camera.yaw = wrapAngle(camera.yaw + deltaYaw);
+    camera.pitch = wrapAngle(camera.pitch + deltaPitch);
+}
+
+function panCamera(camera, deltaX, deltaY) {
+    camera.pan[0] += deltaX;
+    camera.pan[1] += deltaY;
+}
+
+// Scale the distance to the target; factors below 1 move closer
+function zoomCamera(camera, factor) {
+    camera.distance = Math.min(camera.maxDistance,
+        Math.max(camera.minDistance, camera.distance * factor));
+}
+
+// World units covered by one pixel at the target's depth
+function cameraUnitsPerPixel(camera, canvas) {
+    return 2 * camera.distance * Math.tan(camera.fieldOfView / 2) / canvas.clientHeight;
+}
+
+// Mouse, wheel and touch controls. Dragging with the left button (or one
+// finger) orbits, the right button or shift-drag pans, the wheel zooms,
+// and two fingers pinch to zoom and move together to pan. `onChange` is
+// called after every camera change.
+function attachCameraControls(canvas, camera, onChange) {
+    const pointers = new Map();
+    const controls = {
+        enabled: true,
+        // Pixels moved since the last press; lets click handlers ignore drags
+        dragDistance: 0,
+    };
+    let lastPinch = null;
+
+    function pinchState() {
+        const [a, b] = Array.from(pointers.values());
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+        };
+    }
+
+    canvas.style.touchAction = 'none';
+
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!controls.enabled) {
+            return;
+        }
+        canvas.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, pan: e.button === 2 || e.shiftKey });
+        controls.dragDistance = 0;
+        lastPinch = pointers.size === 2 ? pinchState() : null;
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const pointer = pointers.get(e.pointerId);
+        if (!pointer) {
+            return;
+        }
+
+        const dx = e.clientX - pointer.x;
+        const dy = e.clientY - pointer.y;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        controls.dragDistance += Math.abs(dx) + Math.abs(dy);
+
+        if (pointers.size === 2) {
+            const pinch = pinchState();
+            if (lastPinch && pinch.distance > 0) {
+                const unitsPerPixel = cameraUnitsPerPixel(camera, canvas);
+                zoomCamera(camera, lastPinch.distance / pinch.distance);
+                panCamera(camera, (pinch.x - lastPinch.x) * unitsPerPixel, -(pinch.y - lastPinch.y) * unitsPerPixel);
+            }
+            lastPinch = pinch;
+        } else if (pointer.pan) {
+            const unitsPerPixel = cameraUnitsPerPixel(camera, canvas);
+            panCamera(camera, dx * unitsPerPixel, -dy * unitsPerPixel);
+        } else {
+            orbitCamera(camera, dx * CAMERA_ORBIT_SPEED, dy * CAMERA_ORBIT_SPEED);
+        }
+
+        onChange(camera);
+    });
+
+    function release(e) {
+        pointers.delete(e.pointerId);
+        lastPinch = pointers.size === 2 ? pinchState() : null;
+    }
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    canvas.addEventListener('wheel', (e) => {
+        if (!controls.enabled) {
+            return;
+        }
+        e.preventDefault();
+        zoomCamera(camera, Math.exp(e.deltaY * CAMERA_ZOOM_SPEED));
+        onChange(camera);
+    }, { passive: false });
+
+    return controls;
+}
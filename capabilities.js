@@ -0,0 +1,136 @@
+// WebGL context and capabilities
+//
+// The renderer asks for a WebGL2 context first and falls back to WebGL1.
+// What WebGL2 has built in, WebGL1 may offer through extensions; each
+// feature is switched on when either provides it and left off otherwise:
+//
+//   vertexArrays    vertex array objects (OES_vertex_array_object)
+//   instancing      instanced drawing (ANGLE_instanced_arrays)
+//   uint32Indices   32-bit index buffers, so a mesh can have more than
+//                   65,536 vertices (OES_element_index_uint)
+//
+// GPU timer queries need an extension on either version
+// (EXT_disjoint_timer_query, EXT_disjoint_timer_query_webgl2).
+//
+// Shaders are written once and compiled as GLSL ES 3.00 on WebGL2 and
+// GLSL ES 1.00 on WebGL1 (see shaderPrelude in shaders.js).
+
+// Create a rendering context for `canvas`, WebGL2 if the browser has it:
+// { gl, webgl2 }, with gl null when neither version is available
+function createWebGLContext(canvas, attributes = {}) {
+    const gl2 = canvas.getContext('webgl2', attributes);
+    if (gl2) {
+        return { gl: gl2, webgl2: true };
+    }
+    return { gl: canvas.getContext('webgl', attributes), webgl2: false };
+}
+
+// Find out what a context can do. Looking an extension up is also what
+// switches it on, so this runs again whenever the context is restored.
+function detectCapabilities(gl, webgl2) {
+    return {
+        webgl2: webgl2,
+        vertexArrays: vertexArraySupport(gl, webgl2),
+        instancing: instancingSupport(gl, webgl2),
+        uint32Indices: webgl2 || !!gl.getExtension('OES_element_index_uint'),
+        timerQuery: timerQuerySupport(gl, webgl2),
+    };
+}
+
+// One line naming the context and its features, for the control panel
+function describeCapabilities(capabilities) {
+    const features = [];
+    if (capabilities.vertexArrays) {
+        features.push('vertex arrays');
+    }
+    if (capabilities.instancing) {
+        features.push('instancing');
+    }
+    if (capabilities.uint32Indices) {
+        features.push('32-bit indices');
+    }
+    if (capabilities.timerQuery) {
+        features.push('GPU timers');
+    }
+    return (capabilities.webgl2 ? 'WebGL2 (GLSL ES 3.00)' : 'WebGL1 (GLSL ES 1.00)') +
+        (features.length ? ': ' + features.join(', ') : '');
+}
+
+// { create, bind, remove } for vertex array objects, or null
+function vertexArraySupport(gl, webgl2) {
+    if (webgl2) {
+        return {
+            create: () => gl.createVertexArray(),
+            bind: (vertexArray) => gl.bindVertexArray(vertexArray),
+            remove: (vertexArray) => gl.deleteVertexArray(vertexArray),
+        };
+    }
+    const extension = gl.getExtension('OES_vertex_array_object');
+    if (!extension) {
+        return null;
+    }
+    return {
+        create: () => extension.createVertexArrayOES(),
+        bind: (vertexArray) => extension.bindVertexArrayOES(vertexArray),
+        remove: (vertexArray) => extension.deleteVertexArrayOES(vertexArray),
+    };
+}
+
+// { divisor, drawElements } for instanced drawing, or null. Instancing
+// needs every location up to the instance color, more than the eight
+// WebGL promises, though nearly every device has sixteen.
+function instancingSupport(gl, webgl2) {
+    if (gl.getParameter(gl.MAX_VERTEX_ATTRIBS) <= ATTRIBUTE_LOCATIONS.instanceColor) {
+        return null;
+    }
+    if (webgl2) {
+        return {
+            divisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+            drawElements: (mode, count, type, offset, instances) =>
+                gl.drawElementsInstanced(mode, count, type, offset, instances),
+        };
+    }
+    const extension = gl.getExtension('ANGLE_instanced_arrays');
+    if (!extension) {
+        return null;
+    }
+    return {
+        divisor: (location, divisor) => extension.vertexAttribDivisorANGLE(location, divisor),
+        drawElements: (mode, count, type, offset, instances) =>
+            extension.drawElementsInstancedANGLE(mode, count, type, offset, instances),
+    };
+}
+
+// { create, begin, end, available, result, disjoint, remove } for timing
+// GPU work, or null. Results come in nanoseconds a few frames late, and
+// are meaningless when `disjoint()` says the GPU was interrupted meanwhile.
+function timerQuerySupport(gl, webgl2) {
+    if (webgl2) {
+        const extension = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        if (!extension) {
+            return null;
+        }
+        return {
+            create: () => gl.createQuery(),
+            begin: (query) => gl.beginQuery(extension.TIME_ELAPSED_EXT, query),
+            end: () => gl.endQuery(extension.TIME_ELAPSED_EXT),
+            available: (query) => gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE),
+            result: (query) => gl.getQueryParameter(query, gl.QUERY_RESULT),
+            disjoint: () => gl.getParameter(extension.GPU_DISJOINT_EXT),
+            remove: (query) => gl.deleteQuery(query),
+        };
+    }
+    const extension = gl.getExtension('EXT_disjoint_timer_query');
+    if (!extension) {
+        return null;
+    }
+    return {
+        create: () => extension.createQueryEXT(),
+        begin: (query) => extension.beginQueryEXT(extension.TIME_ELAPSED_EXT, query),
+        end: () => extension.endQueryEXT(extension.TIME_ELAPSED_EXT),
+        available: (query) => extension.getQueryObjectEXT(query, extension.QUERY_RESULT_AVAILABLE_EXT),
+        result: (query) => extension.getQueryObjectEXT(query, extension.QUERY_RESULT_EXT),
+        disjoint: () => gl.getParameter(extension.GPU_DISJOINT_EXT),
+        remove: (query) => extension.deleteQueryEXT(query),
+    };
+}
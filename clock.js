@@ -0,0 +1,124 @@
+// Frame clock
+//
+// Turns requestAnimationFrame timestamps into real elapsed and delta time,
+// so animation runs at the same speed whatever the display's refresh
+// rate. Simulation work runs in fixed steps fed from an accumulator,
+// separately from rendering: a 144 Hz frame may run no steps and a 30 Hz
+// frame several. `alpha` is how far the clock has got into the next step,
+// for anything that wants to interpolate between steps when drawing.
+//
+// A paused clock (pauseClock) still counts real time but no scaled time,
+// so no steps run; setClockTimeScale speeds scaled time up (above 1) or
+// slows it down. The viewer leaves both alone, as the timeline has its own
+// play/pause and speed controls.
+//
+// In deterministic mode the clock ignores timestamps and every tick lasts
+// exactly one fixed step, so runs are repeatable. stepClock advances it
+// frame by frame without a browser, for example from Node:
+//
+//   const { createClock, stepClock } = require('./clock.js');
+//   const clock = createClock({ deterministic: true });
+//   stepClock(clock, 60, (dt) => advanceTimeline(timeline, dt));
+
+const CLOCK_FIXED_STEP = 1 / 120;
+
+// Longest frame the clock accepts, in seconds, so a stall (or a tab coming
+// back from the background) doesn't turn into a burst of catch-up steps
+const CLOCK_MAX_DELTA = 0.1;
+
+// Create a clock. Options: fixedStep, maxDelta, timeScale, paused and
+// deterministic.
+function createClock(options = {}) {
+    return {
+        fixedStep: options.fixedStep || CLOCK_FIXED_STEP,
+        maxDelta: options.maxDelta || CLOCK_MAX_DELTA,
+        timeScale: options.timeScale !== undefined ? options.timeScale : 1,
+        paused: options.paused || false,
+        deterministic: options.deterministic || false,
+
+        // Scaled time, which stands still while paused
+        elapsed: 0,
+        delta: 0,
+        // Wall-clock time, which keeps running while paused
+        realElapsed: 0,
+        realDelta: 0,
+
+        accumulator: 0,
+        alpha: 0,
+        frame: 0,
+        fixedFrame: 0,
+        lastTimestamp: null,
+    };
+}
+
+// Advance by `realDelta` seconds of wall-clock time and run every fixed
+// step that has come due
+function advanceClock(clock, realDelta, fixedUpdate) {
+    clock.realDelta = Math.min(Math.max(realDelta, 0), clock.maxDelta);
+    clock.realElapsed += clock.realDelta;
+    clock.delta = clock.paused ? 0 : clock.realDelta * clock.timeScale;
+    clock.elapsed += clock.delta;
+    clock.frame++;
+
+    clock.accumulator += clock.delta;
+    while (clock.accumulator >= clock.fixedStep) {
+        clock.accumulator -= clock.fixedStep;
+        clock.fixedFrame++;
+        if (fixedUpdate) {
+            fixedUpdate(clock.fixedStep);
+        }
+    }
+    clock.alpha = clock.accumulator / clock.fixedStep;
+
+    return clock;
+}
+
+// Advance to a requestAnimationFrame timestamp (milliseconds). The first
+// tick only sets the starting point. Deterministic clocks ignore the
+// timestamp and move on by one fixed step.
+function tickClock(clock, timestamp, fixedUpdate) {
+    if (clock.deterministic) {
+        return advanceClock(clock, clock.fixedStep, fixedUpdate);
+    }
+
+    const realDelta = clock.lastTimestamp === null ? 0 : (timestamp - clock.lastTimestamp) / 1000;
+    clock.lastTimestamp = timestamp;
+    return advanceClock(clock, realDelta, fixedUpdate);
+}
+
+// Advance `frames` frames of one fixed step each, whatever the real time
+function stepClock(clock, frames = 1, fixedUpdate) {
+    for (let i = 0; i < frames; i++) {
+        advanceClock(clock, clock.fixedStep, fixedUpdate);
+    }
+    return clock;
+}
+
+function pauseClock(clock) {
+    clock.paused = true;
+}
+
+function resumeClock(clock) {
+    clock.paused = false;
+}
+
+// Speed up (above 1) or slow down (below 1) everything driven by the clock
+function setClockTimeScale(clock, timeScale) {
+    if (!(timeScale >= 0)) {
+        throw new Error('Time scale must be zero or more, got ' + timeScale);
+    }
+    clock.timeScale = timeScale;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLOCK_FIXED_STEP,
+        CLOCK_MAX_DELTA,
+        createClock,
+        tickClock,
+        stepClock,
+        pauseClock,
+        resumeClock,
+        setClockTimeScale,
+    };
+}
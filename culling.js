@@ -0,0 +1,122 @@
+// Bounding volumes and frustum culling
+//
+// Every mesh keeps an axis-aligned box and a sphere around its vertices,
+// in its own space:
+//
+//   { min: [x, y, z], max: [x, y, z], center: [x, y, z], radius }
+//
+// Each frame the camera's view frustum is worked out from its projection
+// and view matrices as six planes, and nodes whose bounds lie wholly
+// outside any of them are not drawn. The sphere is tried first as it's
+// cheap; nodes it can't rule out are tested again with the box, which
+// fits long thin meshes far better.
+
+// Bounds of a flat [x, y, z, x, y, z, ...] position array. The sphere is
+// centered on the box and reaches the furthest vertex.
+function computeBounds(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], positions[i + axis]);
+            max[axis] = Math.max(max[axis], positions[i + axis]);
+        }
+    }
+    if (min[0] === Infinity) {
+        return { min: [0, 0, 0], max: [0, 0, 0], center: [0, 0, 0], radius: 0 };
+    }
+
+    const center = vec3.lerp(vec3.create(), min, max, 0.5);
+    let radiusSquared = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+        const dx = positions[i] - center[0];
+        const dy = positions[i + 1] - center[1];
+        const dz = positions[i + 2] - center[2];
+        radiusSquared = Math.max(radiusSquared, dx * dx + dy * dy + dz * dz);
+    }
+    return { min: min, max: max, center: Array.from(center), radius: Math.sqrt(radiusSquared) };
+}
+
+// Six planes facing into the frustum, each [a, b, c, d] with a point p
+// inside when a*x + b*y + c*z + d >= 0
+function createFrustum() {
+    const planes = [];
+    for (let i = 0; i < 6; i++) {
+        planes.push(new Float32Array(4));
+    }
+    return { planes: planes };
+}
+
+// Fill a frustum's planes from a projection * view matrix; they come out
+// in world space. Each plane is a sum or difference of the matrix's rows.
+function setFrustumFromMatrix(frustum, m) {
+    const row = (r) => [m[r], m[4 + r], m[8 + r], m[12 + r]];
+    const w = row(3);
+    [0, 1, 2].forEach((r) => {
+        const axis = row(r);
+        for (let i = 0; i < 4; i++) {
+            frustum.planes[r * 2][i] = w[i] + axis[i];
+            frustum.planes[r * 2 + 1][i] = w[i] - axis[i];
+        }
+    });
+    frustum.planes.forEach((plane) => {
+        const length = Math.hypot(plane[0], plane[1], plane[2]);
+        for (let i = 0; i < 4; i++) {
+            plane[i] /= length;
+        }
+    });
+    return frustum;
+}
+
+// Whether any of a node's mesh is inside the frustum. `bounds` are the
+// mesh's; the node's world matrix must be up to date.
+function nodeInFrustum(frustum, node, bounds) {
+    const m = node.worldMatrix;
+    const center = vec3.transformMat4(vec3.create(), bounds.center, m);
+    const scale = Math.max(Math.hypot(m[0], m[1], m[2]), Math.hypot(m[4], m[5], m[6]),
+        Math.hypot(m[8], m[9], m[10]));
+    const radius = bounds.radius * scale;
+
+    let inside = true;
+    for (const plane of frustum.planes) {
+        const distance = plane[0] * center[0] + plane[1] * center[1] + plane[2] * center[2] + plane[3];
+        if (distance < -radius) {
+            return false;
+        }
+        if (distance < radius) {
+            inside = false;
+        }
+    }
+    return inside || boxInFrustum(frustum, m, bounds);
+}
+
+// Box test for a node the sphere test couldn't settle. Each plane is moved
+// into the mesh's own space, where the box corner furthest along the
+// plane's normal decides whether the box is wholly behind it.
+function boxInFrustum(frustum, m, bounds) {
+    for (const plane of frustum.planes) {
+        // The plane as a row vector times the world matrix
+        const local = [0, 1, 2, 3].map((column) =>
+            plane[0] * m[column * 4] + plane[1] * m[column * 4 + 1] +
+            plane[2] * m[column * 4 + 2] + plane[3] * m[column * 4 + 3]);
+        let distance = local[3];
+        for (let axis = 0; axis < 3; axis++) {
+            distance += local[axis] * (local[axis] > 0 ? bounds.max[axis] : bounds.min[axis]);
+        }
+        if (distance < 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Whether a ray can hit anything inside a sphere. The direction needn't be
+// unit length, as with a ray moved into a mesh's own space.
+function rayIntersectsSphere(origin, direction, center, radius) {
+    const offset = vec3.subtract(vec3.create(), origin, center);
+    const a = vec3.dot(direction, direction);
+    const b = vec3.dot(offset, direction);
+    const c = vec3.dot(offset, offset) - radius * radius;
+    // Starting inside, or heading towards a sphere the line crosses
+    return c <= 0 || (b < 0 && b * b - a * c >= 0);
+}
@@ -0,0 +1,95 @@
+// Error overlay
+//
+// Problems that stop the scene from drawing are shown in a panel over the
+// canvas rather than in alert boxes: WebGL being unavailable, a shader that
+// won't compile or link, and the context being lost. Shader errors list the
+// source with line numbers, marking the lines the driver's log complains
+// about. Failures the scene carries on after, like a file that won't load,
+// use the same panel with a button to dismiss it.
+//
+// Shader errors carry { shaderName, stage, log, source } (see
+// createShaderError in shaders.js); any other Error shows its message.
+
+const WEBGL_UNAVAILABLE_MESSAGE =
+    'This page needs WebGL, which your browser or graphics driver doesn\'t provide or has turned off. ' +
+    'Try a recent version of Chrome, Firefox, Safari or Edge, check that hardware acceleration is ' +
+    'enabled in the browser\'s settings, or update your graphics driver.';
+
+// Show the overlay. `details.log` is shown as preformatted text and
+// `details.source` as a numbered listing; `details.dismissable` adds a
+// button that hides the overlay again.
+function showErrorOverlay(title, message, details = {}) {
+    const overlay = document.getElementById('errorOverlay');
+    overlay.innerHTML = '';
+
+    const panel = appendOverlayElement(overlay, 'div', 'error-panel');
+    appendOverlayElement(panel, 'h2', 'error-title', title);
+    appendOverlayElement(panel, 'p', 'error-message', message);
+    if (details.log) {
+        appendOverlayElement(panel, 'pre', 'error-log', details.log);
+    }
+    if (details.source) {
+        panel.appendChild(sourceListing(details.source, errorLineNumbers(details.log || '')));
+    }
+    if (details.dismissable) {
+        const button = appendOverlayElement(panel, 'button', 'btn btn-small error-dismiss', 'Dismiss');
+        button.addEventListener('click', hideErrorOverlay);
+    }
+    overlay.hidden = false;
+}
+
+function hideErrorOverlay() {
+    document.getElementById('errorOverlay').hidden = true;
+}
+
+// Show an error under `title`, with the shader listing if it's a shader
+// error. `dismissable` is passed on to showErrorOverlay.
+function showErrorReport(title, error, dismissable = false) {
+    if (error.shaderName) {
+        const stage = error.stage === 'link' ? 'link' : 'compile its ' + error.stage + ' shader';
+        showErrorOverlay(title, 'Shader "' + error.shaderName + '" failed to ' + stage + '.', {
+            log: error.log,
+            source: error.source,
+            dismissable: dismissable,
+        });
+    } else {
+        showErrorOverlay(title, error.message, { dismissable: dismissable });
+    }
+}
+
+// Line numbers named in a compile log. Drivers write them as
+// "ERROR: 0:12: ..." (source string 0, line 12).
+function errorLineNumbers(log) {
+    const lines = new Set();
+    const pattern = /(?:ERROR|WARNING):\s*\d+:(\d+):/g;
+    let match;
+    while ((match = pattern.exec(log))) {
+        lines.add(parseInt(match[1], 10));
+    }
+    return lines;
+}
+
+// Source text with a line number before each line, `marked` lines flagged
+function sourceListing(source, marked) {
+    const listing = document.createElement('pre');
+    listing.className = 'error-source';
+    const lines = source.split('\n');
+    const width = String(lines.length).length;
+
+    lines.forEach((text, i) => {
+        const number = i + 1;
+        appendOverlayElement(listing, 'span', marked.has(number) ? 'error-line' : '',
+            String(number).padStart(width) + '  ' + text + '\n');
+    });
+    return listing;
+}
+
+function appendOverlayElement(parent, tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    parent.appendChild(element);
+    return element;
+}
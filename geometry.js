@@ -0,0 +1,520 @@
+// Procedural geometry
+//
+// Generators that build shapes from parameters. Each returns a geometry:
+// flat arrays of positions (xyz), normals (xyz), uvs (uv) and triangle
+// indices, wound counter-clockwise seen from outside. Shapes are centered
+// on the origin with Y up. Faceted shapes (box, pyramid, octahedron) give
+// every face its own vertices so they light flat; round ones share
+// vertices so they light smooth.
+//
+// paintGeometry adds per-vertex colors, mergeGeometries and
+// transformGeometry build compound shapes, and createGeometryMesh (in
+// main.js) uploads the result.
+
+function emptyGeometry() {
+    return { positions: [], normals: [], uvs: [], indices: [] };
+}
+
+function addVertex(geometry, position, normal, uv) {
+    geometry.positions.push(position[0], position[1], position[2]);
+    geometry.normals.push(normal[0], normal[1], normal[2]);
+    geometry.uvs.push(uv[0], uv[1]);
+    return geometry.positions.length / 3 - 1;
+}
+
+// A flat polygon (convex, corners counter-clockwise seen from the front)
+// with its own vertices and a normal worked out from the corners
+function addFacet(geometry, corners, uvs) {
+    const normal = vec3.cross(vec3.create(),
+        vec3.subtract(vec3.create(), corners[1], corners[0]),
+        vec3.subtract(vec3.create(), corners[2], corners[0]));
+    vec3.normalize(normal, normal);
+
+    const first = geometry.positions.length / 3;
+    corners.forEach((corner, i) => addVertex(geometry, corner, normal, uvs[i]));
+    for (let i = 1; i < corners.length - 1; i++) {
+        geometry.indices.push(first, first + i, first + i + 1);
+    }
+}
+
+// Point on a plane through `center` spanned by unit axes u and v
+function planePoint(center, u, v, a, b) {
+    return [0, 1, 2].map((i) => center[i] + u[i] * a + v[i] * b);
+}
+
+// Box. `opening` cuts a square hole that wide into the middle of the top
+// face, like the open top of the jack-in-the-box.
+function createBoxGeometry(options = {}) {
+    const width = options.width !== undefined ? options.width : 1;
+    const height = options.height !== undefined ? options.height : 1;
+    const depth = options.depth !== undefined ? options.depth : 1;
+    const opening = options.opening || 0;
+    const geometry = emptyGeometry();
+
+    // normal, u and v axes (u x v = normal) and the face's size along them
+    const faces = [
+        { normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0], size: [width, height], offset: depth },   // front
+        { normal: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0], size: [width, height], offset: depth }, // back
+        { normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, -1], size: [width, depth], offset: height },  // top
+        { normal: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1], size: [width, depth], offset: height },  // bottom
+        { normal: [1, 0, 0], u: [0, 0, -1], v: [0, 1, 0], size: [depth, height], offset: width },  // right
+        { normal: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0], size: [depth, height], offset: width },  // left
+    ];
+
+    faces.forEach((face) => {
+        const center = vec3.scale(vec3.create(), face.normal, face.offset / 2);
+        const halfU = face.size[0] / 2;
+        const halfV = face.size[1] / 2;
+        const point = (a, b) => planePoint(center, face.u, face.v, a, b);
+        const uv = (a, b) => [a / face.size[0] + 0.5, b / face.size[1] + 0.5];
+        const outer = [[-halfU, -halfV], [halfU, -halfV], [halfU, halfV], [-halfU, halfV]];
+
+        if (face.normal[1] === 1 && opening > 0) {
+            // A frame of four quads around the hole
+            const halfHole = opening / 2;
+            const inner = [[-halfHole, -halfHole], [halfHole, -halfHole], [halfHole, halfHole], [-halfHole, halfHole]];
+            for (let i = 0; i < 4; i++) {
+                const corners = [outer[i], outer[(i + 1) % 4], inner[(i + 1) % 4], inner[i]];
+                addFacet(geometry, corners.map((c) => point(c[0], c[1])), corners.map((c) => uv(c[0], c[1])));
+            }
+        } else {
+            addFacet(geometry, outer.map((c) => point(c[0], c[1])), outer.map((c) => uv(c[0], c[1])));
+        }
+    });
+
+    return geometry;
+}
+
+function createCubeGeometry(options = {}) {
+    const size = options.size !== undefined ? options.size : 1;
+    return createBoxGeometry({ width: size, height: size, depth: size, opening: options.opening });
+}
+
+// Flat, axis-aligned rectangle in the XZ plane facing up
+function createPlaneGeometry(options = {}) {
+    const width = options.width !== undefined ? options.width : 1;
+    const depth = options.depth !== undefined ? options.depth : 1;
+    const geometry = emptyGeometry();
+    const corners = [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]];
+
+    addFacet(geometry,
+        corners.map((c) => [c[0] * width, 0, -c[1] * depth]),
+        corners.map((c) => [c[0] + 0.5, c[1] + 0.5]));
+
+    return geometry;
+}
+
+// Square-based pyramid standing on its base
+function createPyramidGeometry(options = {}) {
+    const width = options.width !== undefined ? options.width : 1;
+    const height = options.height !== undefined ? options.height : 1;
+    const half = width / 2;
+    const base = -height / 2;
+    const apex = [0, height / 2, 0];
+    const geometry = emptyGeometry();
+
+    // Base corners counter-clockwise seen from above
+    const corners = [[-half, base, half], [half, base, half], [half, base, -half], [-half, base, -half]];
+
+    addFacet(geometry, corners.slice().reverse(), [[0, 1], [1, 1], [1, 0], [0, 0]]);
+    for (let i = 0; i < 4; i++) {
+        addFacet(geometry, [corners[i], corners[(i + 1) % 4], apex], [[0, 0], [1, 0], [0.5, 1]]);
+    }
+
+    return geometry;
+}
+
+// Two square pyramids base to base. `width` is across the square middle,
+// `height` from tip to tip.
+function createOctahedronGeometry(options = {}) {
+    const width = options.width !== undefined ? options.width : 1;
+    const height = options.height !== undefined ? options.height : 1;
+    const half = width / 2;
+    const top = [0, height / 2, 0];
+    const bottom = [0, -height / 2, 0];
+    const geometry = emptyGeometry();
+
+    const middle = [[-half, 0, half], [half, 0, half], [half, 0, -half], [-half, 0, -half]];
+    for (let i = 0; i < 4; i++) {
+        const next = middle[(i + 1) % 4];
+        addFacet(geometry, [top, middle[i], next], [[0.5, 1], [0, 0.5], [1, 0.5]]);
+        addFacet(geometry, [bottom, next, middle[i]], [[0.5, 0], [1, 0.5], [0, 0.5]]);
+    }
+
+    return geometry;
+}
+
+// Star in the XY plane facing +Z, with its first point straight down.
+// With `depth` it is raised into a faceted solid that deep; without, it
+// is a flat fan around a center vertex.
+function createStarGeometry(options = {}) {
+    const points = options.points !== undefined ? options.points : 5;
+    const outerRadius = options.outerRadius !== undefined ? options.outerRadius : 0.5;
+    const innerRadius = options.innerRadius !== undefined ? options.innerRadius : 0.2;
+    const depth = options.depth || 0;
+    if (points < 2) {
+        throw new Error('A star needs at least 2 points');
+    }
+
+    const rim = [];
+    for (let i = 0; i < points * 2; i++) {
+        const angle = (i * Math.PI) / points - Math.PI / 2;
+        const radius = i % 2 === 0 ? outerRadius : innerRadius;
+        rim.push([radius * Math.cos(angle), radius * Math.sin(angle), 0]);
+    }
+    const uv = (p) => [p[0] / (2 * outerRadius) + 0.5, p[1] / (2 * outerRadius) + 0.5];
+    const geometry = emptyGeometry();
+
+    if (depth > 0) {
+        const front = [0, 0, depth / 2];
+        const back = [0, 0, -depth / 2];
+        rim.forEach((p, i) => {
+            const next = rim[(i + 1) % rim.length];
+            addFacet(geometry, [front, p, next], [uv(front), uv(p), uv(next)]);
+            addFacet(geometry, [back, next, p], [uv(back), uv(next), uv(p)]);
+        });
+        return geometry;
+    }
+
+    const normal = [0, 0, 1];
+    addVertex(geometry, [0, 0, 0], normal, [0.5, 0.5]);
+    rim.forEach((p) => addVertex(geometry, p, normal, uv(p)));
+    for (let i = 0; i < rim.length; i++) {
+        geometry.indices.push(0, i + 1, (i + 1) % rim.length + 1);
+    }
+
+    return geometry;
+}
+
+// Latitude/longitude sphere
+function createUVSphereGeometry(options = {}) {
+    const radius = options.radius !== undefined ? options.radius : 0.5;
+    const widthSegments = Math.max(3, options.widthSegments || 32);
+    const heightSegments = Math.max(2, options.heightSegments || 16);
+    const geometry = emptyGeometry();
+
+    for (let y = 0; y <= heightSegments; y++) {
+        const v = y / heightSegments;
+        const theta = v * Math.PI;
+        for (let x = 0; x <= widthSegments; x++) {
+            const u = x / widthSegments;
+            const phi = u * 2 * Math.PI;
+            const normal = [-Math.cos(phi) * Math.sin(theta), Math.cos(theta), Math.sin(phi) * Math.sin(theta)];
+            addVertex(geometry, vec3.scale(vec3.create(), normal, radius), normal, [u, 1 - v]);
+        }
+    }
+
+    // The first and last rows meet at the poles, so skip their
+    // zero-area triangles
+    const row = widthSegments + 1;
+    for (let y = 0; y < heightSegments; y++) {
+        for (let x = 0; x < widthSegments; x++) {
+            const a = y * row + x + 1;
+            const b = y * row + x;
+            const c = (y + 1) * row + x;
+            const d = (y + 1) * row + x + 1;
+            if (y !== 0) {
+                geometry.indices.push(a, b, d);
+            }
+            if (y !== heightSegments - 1) {
+                geometry.indices.push(b, c, d);
+            }
+        }
+    }
+
+    return geometry;
+}
+
+// Sphere made by splitting the faces of an icosahedron, so its triangles
+// are all about the same size. UVs come from each vertex's direction and
+// stretch across the one triangle strip that straddles the seam.
+function createIcosphereGeometry(options = {}) {
+    const radius = options.radius !== undefined ? options.radius : 0.5;
+    const subdivisions = options.subdivisions !== undefined ? options.subdivisions : 2;
+    const t = (1 + Math.sqrt(5)) / 2;
+
+    let directions = [
+        [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+        [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+        [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1],
+    ].map((p) => vec3.normalize(p, p));
+    let faces = [
+        [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+        [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+        [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+        [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1],
+    ];
+
+    // Split every triangle into four, sharing the new edge midpoints
+    for (let level = 0; level < subdivisions; level++) {
+        const midpoints = new Map();
+        const midpoint = (a, b) => {
+            const key = a < b ? a + '_' + b : b + '_' + a;
+            if (!midpoints.has(key)) {
+                const p = vec3.add(vec3.create(), directions[a], directions[b]);
+                directions.push(vec3.normalize(p, p));
+                midpoints.set(key, directions.length - 1);
+            }
+            return midpoints.get(key);
+        };
+
+        const split = [];
+        faces.forEach(([a, b, c]) => {
+            const ab = midpoint(a, b);
+            const bc = midpoint(b, c);
+            const ca = midpoint(c, a);
+            split.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+        });
+        faces = split;
+    }
+
+    const geometry = emptyGeometry();
+    directions.forEach((normal) => {
+        const u = 0.5 + Math.atan2(normal[2], -normal[0]) / (2 * Math.PI);
+        const v = 0.5 + Math.asin(normal[1]) / Math.PI;
+        addVertex(geometry, vec3.scale(vec3.create(), normal, radius), normal, [u, v]);
+    });
+    faces.forEach((face) => geometry.indices.push(face[0], face[1], face[2]));
+
+    return geometry;
+}
+
+// Cylinder along Y, or a truncated cone when the radii differ. Ends with
+// no radius get no cap.
+function createCylinderGeometry(options = {}) {
+    const radiusTop = options.radiusTop !== undefined ? options.radiusTop : 0.5;
+    const radiusBottom = options.radiusBottom !== undefined ? options.radiusBottom : 0.5;
+    const height = options.height !== undefined ? options.height : 1;
+    const radialSegments = Math.max(3, options.radialSegments || 32);
+    const heightSegments = Math.max(1, options.heightSegments || 1);
+    const capped = options.capped !== undefined ? options.capped : true;
+    const halfHeight = height / 2;
+    const geometry = emptyGeometry();
+
+    // Side normals lean outwards by the slope of the side
+    const slope = (radiusBottom - radiusTop) / height;
+    const row = radialSegments + 1;
+    for (let y = 0; y <= heightSegments; y++) {
+        const v = y / heightSegments;
+        const radius = radiusTop + (radiusBottom - radiusTop) * v;
+        for (let x = 0; x <= radialSegments; x++) {
+            const u = x / radialSegments;
+            const sin = Math.sin(u * 2 * Math.PI);
+            const cos = Math.cos(u * 2 * Math.PI);
+            const normal = vec3.normalize(vec3.create(), [sin, slope, cos]);
+            addVertex(geometry, [radius * sin, halfHeight - v * height, radius * cos], normal, [u, 1 - v]);
+        }
+    }
+    for (let y = 0; y < heightSegments; y++) {
+        for (let x = 0; x < radialSegments; x++) {
+            const a = y * row + x;
+            const b = (y + 1) * row + x;
+            const c = (y + 1) * row + x + 1;
+            const d = y * row + x + 1;
+            // A pointed end has no room for the triangle along its edge
+            if (y !== 0 || radiusTop > 0) {
+                geometry.indices.push(a, b, d);
+            }
+            if (y !== heightSegments - 1 || radiusBottom > 0) {
+                geometry.indices.push(b, c, d);
+            }
+        }
+    }
+
+    // Caps are fans around their own center vertices
+    const addCap = (top) => {
+        const radius = top ? radiusTop : radiusBottom;
+        if (!capped || radius <= 0) {
+            return;
+        }
+        const sign = top ? 1 : -1;
+        const normal = [0, sign, 0];
+        const center = addVertex(geometry, [0, halfHeight * sign, 0], normal, [0.5, 0.5]);
+        for (let x = 0; x <= radialSegments; x++) {
+            const angle = (x / radialSegments) * 2 * Math.PI;
+            const sin = Math.sin(angle);
+            const cos = Math.cos(angle);
+            addVertex(geometry, [radius * sin, halfHeight * sign, radius * cos], normal,
+                [sin * 0.5 + 0.5, cos * 0.5 * sign + 0.5]);
+        }
+        for (let x = 1; x <= radialSegments; x++) {
+            if (top) {
+                geometry.indices.push(center, center + x, center + x + 1);
+            } else {
+                geometry.indices.push(center, center + x + 1, center + x);
+            }
+        }
+    };
+    addCap(true);
+    addCap(false);
+
+    return geometry;
+}
+
+function createConeGeometry(options = {}) {
+    return createCylinderGeometry(Object.assign({}, options, {
+        radiusTop: 0,
+        radiusBottom: options.radius !== undefined ? options.radius : 0.5,
+    }));
+}
+
+// Ring in the XY plane around the Z axis. `radius` is to the middle of
+// the tube, `tube` is the tube's own radius.
+function createTorusGeometry(options = {}) {
+    const radius = options.radius !== undefined ? options.radius : 0.5;
+    const tube = options.tube !== undefined ? options.tube : 0.2;
+    const radialSegments = Math.max(3, options.radialSegments || 16);
+    const tubularSegments = Math.max(3, options.tubularSegments || 32);
+    const geometry = emptyGeometry();
+
+    for (let j = 0; j <= radialSegments; j++) {
+        const v = (j / radialSegments) * 2 * Math.PI;
+        for (let i = 0; i <= tubularSegments; i++) {
+            const u = (i / tubularSegments) * 2 * Math.PI;
+            const position = [
+                (radius + tube * Math.cos(v)) * Math.cos(u),
+                (radius + tube * Math.cos(v)) * Math.sin(u),
+                tube * Math.sin(v),
+            ];
+            const normal = [Math.cos(v) * Math.cos(u), Math.cos(v) * Math.sin(u), Math.sin(v)];
+            addVertex(geometry, position, normal, [i / tubularSegments, j / radialSegments]);
+        }
+    }
+
+    const row = tubularSegments + 1;
+    for (let j = 1; j <= radialSegments; j++) {
+        for (let i = 1; i <= tubularSegments; i++) {
+            const a = row * j + i - 1;
+            const b = row * (j - 1) + i - 1;
+            const c = row * (j - 1) + i;
+            const d = row * j + i;
+            geometry.indices.push(a, b, d, b, c, d);
+        }
+    }
+
+    return geometry;
+}
+
+// Cylinder along Y with a half sphere on each end. `height` is the length
+// of the straight middle, so the whole capsule is height + 2 * radius tall.
+function createCapsuleGeometry(options = {}) {
+    const radius = options.radius !== undefined ? options.radius : 0.25;
+    const height = options.height !== undefined ? options.height : 0.5;
+    const capSegments = Math.max(1, options.capSegments || 8);
+    const radialSegments = Math.max(3, options.radialSegments || 32);
+    const halfHeight = height / 2;
+    const totalHeight = height + 2 * radius;
+    const geometry = emptyGeometry();
+
+    // Rings from the top pole down to the bottom one: the top half sphere,
+    // then the bottom one, with the straight side between their equators
+    const rings = [];
+    for (let k = 0; k <= capSegments; k++) {
+        rings.push({ angle: (k / capSegments) * Math.PI / 2, center: halfHeight });
+    }
+    for (let k = 0; k <= capSegments; k++) {
+        rings.push({ angle: Math.PI / 2 + (k / capSegments) * Math.PI / 2, center: -halfHeight });
+    }
+
+    const row = radialSegments + 1;
+    rings.forEach((ring) => {
+        const ringRadius = radius * Math.sin(ring.angle);
+        const y = ring.center + radius * Math.cos(ring.angle);
+        for (let x = 0; x <= radialSegments; x++) {
+            const u = x / radialSegments;
+            const sin = Math.sin(u * 2 * Math.PI);
+            const cos = Math.cos(u * 2 * Math.PI);
+            const normal = [Math.sin(ring.angle) * sin, Math.cos(ring.angle), Math.sin(ring.angle) * cos];
+            addVertex(geometry, [ringRadius * sin, y, ringRadius * cos], normal, [u, (y + totalHeight / 2) / totalHeight]);
+        }
+    });
+
+    for (let k = 0; k < rings.length - 1; k++) {
+        for (let x = 0; x < radialSegments; x++) {
+            const a = k * row + x;
+            const b = (k + 1) * row + x;
+            const c = (k + 1) * row + x + 1;
+            const d = k * row + x + 1;
+            if (k !== 0) {
+                geometry.indices.push(a, b, d);
+            }
+            if (k !== rings.length - 2) {
+                geometry.indices.push(b, c, d);
+            }
+        }
+    }
+
+    return geometry;
+}
+
+// Give a geometry per-vertex colors: one [r, g, b, a] for everything, or a
+// function of each vertex's position and normal returning one
+function paintGeometry(geometry, color) {
+    const vertexCount = geometry.positions.length / 3;
+    geometry.colors = [];
+    for (let i = 0; i < vertexCount; i++) {
+        const value = typeof color === 'function' ?
+            color(geometry.positions.slice(i * 3, i * 3 + 3), geometry.normals.slice(i * 3, i * 3 + 3)) :
+            color;
+        geometry.colors.push(value[0], value[1], value[2], value[3] !== undefined ? value[3] : 1);
+    }
+    return geometry;
+}
+
+// Combine several geometries into one. Parts without colors come out white.
+function mergeGeometries(geometries) {
+    const merged = emptyGeometry();
+    merged.colors = [];
+
+    geometries.forEach((geometry) => {
+        const offset = merged.positions.length / 3;
+        const vertexCount = geometry.positions.length / 3;
+        merged.positions.push(...geometry.positions);
+        merged.normals.push(...geometry.normals);
+        merged.uvs.push(...geometry.uvs);
+        merged.colors.push(...(geometry.colors || new Array(vertexCount * 4).fill(1)));
+        geometry.indices.forEach((index) => merged.indices.push(index + offset));
+    });
+
+    return merged;
+}
+
+// Copy of a geometry moved by a matrix. Mirroring matrices flip the
+// triangles so they still face outwards.
+function transformGeometry(geometry, matrix) {
+    const normalMatrix = mat4.create();
+    mat4.transpose(normalMatrix, mat4.invert(normalMatrix, matrix) || mat4.create());
+    const out = {
+        positions: [],
+        normals: [],
+        uvs: geometry.uvs.slice(),
+        indices: geometry.indices.slice(),
+    };
+    if (geometry.colors) {
+        out.colors = geometry.colors.slice();
+    }
+
+    const v = vec3.create();
+    for (let i = 0; i < geometry.positions.length; i += 3) {
+        vec3.transformMat4(v, geometry.positions.slice(i, i + 3), matrix);
+        out.positions.push(v[0], v[1], v[2]);
+        vec3.transformDirection(v, geometry.normals.slice(i, i + 3), normalMatrix);
+        vec3.normalize(v, v);
+        out.normals.push(v[0], v[1], v[2]);
+    }
+
+    if (mat4.determinant(matrix) < 0) {
+        for (let i = 0; i < out.indices.length; i += 3) {
+            const swap = out.indices[i + 1];
+            out.indices[i + 1] = out.indices[i + 2];
+            out.indices[i + 2] = swap;
+        }
+    }
+
+    return out;
+}
+
+// Copy of a geometry moved by an offset
+function translateGeometry(geometry, offset) {
+    return transformGeometry(geometry, mat4.fromTranslation(mat4.create(), offset));
+}
@@ -0,0 +1,333 @@
+// Transform gizmo
+//
+// Handles for moving, rotating and scaling the selected node, drawn on top
+// of the scene: arrows for translate, rings for rotate and boxed axes for
+// scale. The gizmo sits at the node's origin, lined up with its parent's
+// axes (the space the node's translation, rotation and scale live in), and
+// is sized to stay the same size on screen.
+//
+// Rings edit the node's X/Y/Z rotation angles directly. The X ring is an
+// exact turn about the parent X axis; Y and Z are exact while the angles
+// before them in the X, Y, Z order are zero.
+
+const GIZMO_SCREEN_SIZE = 0.18; // gizmo length as a fraction of camera distance
+const GIZMO_HIT_RADIUS = 8; // pixels
+const GIZMO_RING_SEGMENTS = 48;
+const GIZMO_AXIS_COLORS = [
+    [0.9, 0.2, 0.2, 1.0], // X - Red
+    [0.2, 0.8, 0.2, 1.0], // Y - Green
+    [0.2, 0.4, 1.0, 1.0], // Z - Blue
+];
+const GIZMO_ACTIVE_COLOR = [1.0, 0.85, 0.0, 1.0];
+
+// Line segments for a handle along/around the X axis, in gizmo space
+const GIZMO_SHAPES = {
+    translate: () => {
+        const head = 0.85;
+        return [
+            [[0, 0, 0], [1, 0, 0]],
+            [[1, 0, 0], [head, 0.05, 0]],
+            [[1, 0, 0], [head, -0.05, 0]],
+            [[1, 0, 0], [head, 0, 0.05]],
+            [[1, 0, 0], [head, 0, -0.05]],
+        ];
+    },
+    rotate: () => {
+        const segments = [];
+        for (let i = 0; i < GIZMO_RING_SEGMENTS; i++) {
+            const a0 = (i / GIZMO_RING_SEGMENTS) * 2 * Math.PI;
+            const a1 = ((i + 1) / GIZMO_RING_SEGMENTS) * 2 * Math.PI;
+            segments.push([
+                [0, Math.cos(a0) * 0.8, Math.sin(a0) * 0.8],
+                [0, Math.cos(a1) * 0.8, Math.sin(a1) * 0.8],
+            ]);
+        }
+        return segments;
+    },
+    scale: () => {
+        const segments = [[[0, 0, 0], [0.92, 0, 0]]];
+        const s = 0.08;
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            corners.push([
+                0.92 + (i & 1 ? s : -s),
+                i & 2 ? s : -s,
+                i & 4 ? s : -s,
+            ]);
+        }
+        // Box edges join corners that differ in exactly one bit
+        for (let i = 0; i < 8; i++) {
+            [1, 2, 4].forEach((bit) => {
+                if (!(i & bit)) {
+                    segments.push([corners[i], corners[i | bit]]);
+                }
+            });
+        }
+        return segments;
+    },
+};
+
+// Move an X-axis point onto another axis by cycling its components
+function gizmoAxisPoint(p, axis) {
+    const out = [0, 0, 0];
+    out[axis] = p[0];
+    out[(axis + 1) % 3] = p[1];
+    out[(axis + 2) % 3] = p[2];
+    return out;
+}
+
+// Create the gizmo's line meshes and state
+function createGizmo() {
+    const gizmo = {
+        mode: 'translate',
+        snap: false,
+        gridStep: 0.25,
+        angleStep: 15, // degrees
+        scaleStep: 0.1,
+        handles: {},
+        hovered: null,
+        drag: null,
+    };
+
+    Object.keys(GIZMO_SHAPES).forEach((mode) => {
+        const shape = GIZMO_SHAPES[mode]();
+        gizmo.handles[mode] = [0, 1, 2].map((axis) => {
+            const segments = shape.map(([a, b]) => [gizmoAxisPoint(a, axis), gizmoAxisPoint(b, axis)]);
+            const positions = [];
+            const colors = [];
+            segments.forEach(([a, b]) => {
+                positions.push(a[0], a[1], a[2], b[0], b[1], b[2]);
+                colors.push(...GIZMO_AXIS_COLORS[axis], ...GIZMO_AXIS_COLORS[axis]);
+            });
+            return {
+                mode: mode,
+                axis: axis,
+                segments: segments,
+                mesh: createLineMesh(positions, colors),
+            };
+        });
+    });
+
+    return gizmo;
+}
+
+// Gizmo space to world: parent's axes (unit length), node's origin, and a
+// size that keeps the gizmo the same size on screen
+function gizmoMatrix(node, viewMatrix) {
+    const parent = node.parent ? node.parent.worldMatrix : mat4.create();
+    const world = node.worldMatrix;
+
+    const eye = mat4.create();
+    mat4.invert(eye, viewMatrix);
+    const size = GIZMO_SCREEN_SIZE * Math.hypot(
+        world[12] - eye[12], world[13] - eye[13], world[14] - eye[14]);
+
+    const m = mat4.create();
+    for (let col = 0; col < 3; col++) {
+        const length = Math.hypot(parent[col * 4], parent[col * 4 + 1], parent[col * 4 + 2]) || 1;
+        for (let row = 0; row < 3; row++) {
+            m[col * 4 + row] = parent[col * 4 + row] / length * size;
+        }
+    }
+    m[12] = world[12];
+    m[13] = world[13];
+    m[14] = world[14];
+    return m;
+}
+
+// World point to canvas CSS pixels
+function worldToScreen(p, viewProjection, canvas) {
+    const ndc = vec3.transformMat4(vec3.create(), p, viewProjection);
+    return [
+        (ndc[0] + 1) / 2 * canvas.clientWidth,
+        (1 - ndc[1]) / 2 * canvas.clientHeight,
+    ];
+}
+
+function distanceToSegment(p, a, b) {
+    const abx = b[0] - a[0], aby = b[1] - a[1];
+    const lengthSq = abx * abx + aby * aby;
+    const t = lengthSq > 0 ?
+        Math.max(0, Math.min(1, ((p[0] - a[0]) * abx + (p[1] - a[1]) * aby) / lengthSq)) : 0;
+    return Math.hypot(p[0] - (a[0] + abx * t), p[1] - (a[1] + aby * t));
+}
+
+// Find the handle of the current mode under a canvas point
+function hitTestGizmo(gizmo, node, point, viewMatrix, projectionMatrix, canvas) {
+    const matrix = gizmoMatrix(node, viewMatrix);
+    const viewProjection = mat4.create();
+    mat4.multiply(viewProjection, projectionMatrix, viewMatrix);
+
+    let best = null;
+    let bestDistance = GIZMO_HIT_RADIUS;
+
+    gizmo.handles[gizmo.mode].forEach((handle) => {
+        handle.segments.forEach(([a, b]) => {
+            const sa = worldToScreen(vec3.transformMat4(vec3.create(), a, matrix), viewProjection, canvas);
+            const sb = worldToScreen(vec3.transformMat4(vec3.create(), b, matrix), viewProjection, canvas);
+            const distance = distanceToSegment(point, sa, sb);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = handle;
+            }
+        });
+    });
+
+    return best;
+}
+
+// Draw the current mode's handles on top of everything already drawn
+function drawGizmo(gizmo, node, viewMatrix, projectionMatrix) {
+    const modelViewMatrix = mat4.create();
+    mat4.multiply(modelViewMatrix, viewMatrix, gizmoMatrix(node, viewMatrix));
+
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+    gizmo.handles[gizmo.mode].forEach((handle) => {
+        const active = gizmo.drag ? gizmo.drag.handle === handle : gizmo.hovered === handle;
+        drawLines(handle.mesh, modelViewMatrix, projectionMatrix,
+            active ? GIZMO_ACTIVE_COLOR : NO_HIGHLIGHT);
+    });
+}
+
+function snapTo(value, step) {
+    return step > 0 ? Math.round(value / step) * step : value;
+}
+
+// Work out the node's new transform for a drag from `drag.start` to `point`
+function applyGizmoDrag(gizmo, node, point) {
+    const drag = gizmo.drag;
+    const axis = drag.handle.axis;
+    const dx = point[0] - drag.start[0];
+    const dy = point[1] - drag.start[1];
+
+    if (drag.handle.mode === 'rotate') {
+        // Angle swept around the gizmo center on screen. Screen y points
+        // down, so flip it to get counter-clockwise angles.
+        const c = drag.screenCenter;
+        const a0 = Math.atan2(-(drag.start[1] - c[1]), drag.start[0] - c[0]);
+        const a1 = Math.atan2(-(point[1] - c[1]), point[0] - c[0]);
+        const angle = (a1 - a0) * drag.rotateSign;
+        let value = drag.startValue + angle;
+        if (gizmo.snap) {
+            const step = gizmo.angleStep * Math.PI / 180;
+            value = drag.startValue + snapTo(value - drag.startValue, step);
+        }
+        node.rotation[axis] = value;
+        return;
+    }
+
+    // Pixels moved along the axis as drawn on screen, then into world units
+    const axisLengthSq = drag.screenAxis[0] * drag.screenAxis[0] + drag.screenAxis[1] * drag.screenAxis[1];
+    if (axisLengthSq < 1e-6) {
+        return;
+    }
+    const along = (dx * drag.screenAxis[0] + dy * drag.screenAxis[1]) / axisLengthSq * drag.size;
+
+    if (drag.handle.mode === 'translate') {
+        let value = drag.startValue + along / drag.parentScale;
+        if (gizmo.snap) {
+            value = snapTo(value, gizmo.gridStep);
+        }
+        node.translation[axis] = value;
+    } else {
+        let value = drag.startValue * (1 + along / drag.size);
+        if (gizmo.snap) {
+            value = snapTo(value, gizmo.scaleStep);
+        }
+        node.scale[axis] = Math.max(0.01, value);
+    }
+}
+
+// Pointer handling. Attach before the camera controls so a press on a
+// handle can stop the camera from seeing it. `getState` returns the
+// selected node and the current view and projection matrices.
+function attachGizmoControls(canvas, gizmo, getState) {
+    const controls = {
+        // Set when the last press grabbed a handle, so it isn't taken as a
+        // click
+        consumedClick: false,
+    };
+
+    function canvasPoint(e) {
+        const rect = canvas.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+        controls.consumedClick = false;
+        const state = getState();
+        if (!state.node || e.button !== 0) {
+            return;
+        }
+
+        const point = canvasPoint(e);
+        const handle = hitTestGizmo(gizmo, state.node, point, state.viewMatrix, state.projectionMatrix, canvas);
+        if (!handle) {
+            return;
+        }
+
+        e.stopImmediatePropagation();
+        canvas.setPointerCapture(e.pointerId);
+        controls.consumedClick = true;
+
+        const node = state.node;
+        const axis = handle.axis;
+        const matrix = gizmoMatrix(node, state.viewMatrix);
+        const viewProjection = mat4.create();
+        mat4.multiply(viewProjection, state.projectionMatrix, state.viewMatrix);
+
+        const center = [matrix[12], matrix[13], matrix[14]];
+        const tip = vec3.transformMat4(vec3.create(), gizmoAxisPoint([1, 0, 0], axis), matrix);
+        const screenCenter = worldToScreen(center, viewProjection, canvas);
+        const screenTip = worldToScreen(tip, viewProjection, canvas);
+
+        const parent = node.parent ? node.parent.worldMatrix : mat4.create();
+        const parentScale = Math.hypot(parent[axis * 4], parent[axis * 4 + 1], parent[axis * 4 + 2]) || 1;
+
+        // A ring turns counter-clockwise on screen when its axis faces the
+        // camera
+        const eye = mat4.create();
+        mat4.invert(eye, state.viewMatrix);
+        const axisDirection = [tip[0] - center[0], tip[1] - center[1], tip[2] - center[2]];
+        const toEye = [eye[12] - center[0], eye[13] - center[1], eye[14] - center[2]];
+        const facing = axisDirection[0] * toEye[0] + axisDirection[1] * toEye[1] + axisDirection[2] * toEye[2];
+
+        const property = { translate: 'translation', rotate: 'rotation', scale: 'scale' }[handle.mode];
+
+        gizmo.drag = {
+            handle: handle,
+            node: node,
+            start: point,
+            startValue: node[property][axis],
+            screenCenter: screenCenter,
+            screenAxis: [screenTip[0] - screenCenter[0], screenTip[1] - screenCenter[1]],
+            size: Math.hypot(axisDirection[0], axisDirection[1], axisDirection[2]),
+            parentScale: parentScale,
+            rotateSign: facing >= 0 ? 1 : -1,
+        };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const point = canvasPoint(e);
+        if (gizmo.drag) {
+            e.stopImmediatePropagation();
+            applyGizmoDrag(gizmo, gizmo.drag.node, point);
+            return;
+        }
+
+        const state = getState();
+        gizmo.hovered = state.node ?
+            hitTestGizmo(gizmo, state.node, point, state.viewMatrix, state.projectionMatrix, canvas) : null;
+    });
+
+    function release(e) {
+        if (gizmo.drag) {
+            e.stopImmediatePropagation();
+            gizmo.drag = null;
+        }
+    }
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    return controls;
+}
@@ -0,0 +1,414 @@
+// glTF 2.0 / GLB import
+//
+// Turns a glTF asset into scene nodes: its node hierarchy (translation,
+// rotation and scale, or a matrix split into those), a mesh for every
+// triangle primitive, a material from each PBR base color, and animation
+// clips that move the nodes' translation, rotation and scale. Rotations
+// arrive as quaternions and are converted to the scene graph's X/Y/Z
+// angles. Morph targets, skins, cameras and textures are not imported.
+
+const GLTF_COMPONENT_ARRAYS = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array,
+};
+
+const GLTF_TYPE_SIZES = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16,
+};
+
+const GLTF_TRIANGLES = 4;
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const GLB_CHUNK_JSON = 0x4E4F534A;
+const GLB_CHUNK_BIN = 0x004E4942;
+
+// Split a GLB file into its JSON and binary chunks
+function parseGLB(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('Not a GLB file');
+    }
+    if (view.getUint32(4, true) !== 2) {
+        throw new Error('Only glTF 2.0 GLB files are supported');
+    }
+
+    let json = null;
+    let binary = null;
+    let offset = 12;
+    while (offset < view.byteLength) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (type === GLB_CHUNK_JSON) {
+            json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, length)));
+        } else if (type === GLB_CHUNK_BIN) {
+            binary = arrayBuffer.slice(start, start + length);
+        }
+        offset = start + length;
+    }
+
+    if (!json) {
+        throw new Error('GLB file has no JSON chunk');
+    }
+    return { json: json, binary: binary };
+}
+
+function decodeDataUri(uri) {
+    const base64 = uri.slice(uri.indexOf(',') + 1);
+    const bytes = atob(base64);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        buffer[i] = bytes.charCodeAt(i);
+    }
+    return buffer.buffer;
+}
+
+// Read an accessor into a plain array of numbers, undoing byte strides and
+// normalized integer encoding
+function readAccessor(gltf, buffers, index) {
+    const accessor = gltf.accessors[index];
+    const size = GLTF_TYPE_SIZES[accessor.type];
+    const ArrayType = GLTF_COMPONENT_ARRAYS[accessor.componentType];
+    const count = accessor.count;
+    const values = new Array(count * size).fill(0);
+
+    if (accessor.sparse) {
+        throw new Error('Sparse accessors are not supported');
+    }
+    if (accessor.bufferView === undefined) {
+        return values;
+    }
+
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    const buffer = buffers[bufferView.buffer];
+    const elementBytes = ArrayType.BYTES_PER_ELEMENT;
+    const stride = bufferView.byteStride || size * elementBytes;
+    const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    const view = new DataView(buffer);
+    const read = {
+        5120: (o) => view.getInt8(o),
+        5121: (o) => view.getUint8(o),
+        5122: (o) => view.getInt16(o, true),
+        5123: (o) => view.getUint16(o, true),
+        5125: (o) => view.getUint32(o, true),
+        5126: (o) => view.getFloat32(o, true),
+    }[accessor.componentType];
+
+    // Normalized integers map to 0..1 (unsigned) or -1..1 (signed)
+    const scale = accessor.normalized ? {
+        5120: 1 / 127,
+        5121: 1 / 255,
+        5122: 1 / 32767,
+        5123: 1 / 65535,
+    }[accessor.componentType] : 1;
+
+    for (let i = 0; i < count; i++) {
+        for (let c = 0; c < size; c++) {
+            const value = read(start + i * stride + c * elementBytes);
+            values[i * size + c] = accessor.normalized ? Math.max(value * scale, -1) : value;
+        }
+    }
+
+    return values;
+}
+
+// Lit-shader material from a glTF PBR material. Metals reflect their own
+// color; rough surfaces get a wide, dim highlight.
+function gltfMaterial(source, index) {
+    const pbr = source.pbrMetallicRoughness || {};
+    const baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+    const metallic = pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1;
+    const roughness = pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1;
+
+    return {
+        name: source.name || 'gltf-material-' + index,
+        shader: 'lit',
+        baseColor: baseColor,
+        specular: [0, 1, 2].map((c) => 0.04 + (baseColor[c] - 0.04) * metallic),
+        shininess: 2 + (1 - roughness) * (1 - roughness) * 126,
+    };
+}
+
+// Build a mesh for one triangle primitive
+function gltfPrimitiveMesh(gltf, buffers, primitive, material) {
+    const attributes = primitive.attributes;
+    if (attributes.POSITION === undefined) {
+        throw new Error('Mesh primitive has no POSITION attribute');
+    }
+
+    const positions = readAccessor(gltf, buffers, attributes.POSITION);
+    const vertexCount = positions.length / 3;
+    const baseColor = material ? material.baseColor : [1, 1, 1, 1];
+
+    // Vertex colors are multiplied by the base color, as glTF specifies
+    const colors = [];
+    if (attributes.COLOR_0 !== undefined) {
+        const source = readAccessor(gltf, buffers, attributes.COLOR_0);
+        const size = GLTF_TYPE_SIZES[gltf.accessors[attributes.COLOR_0].type];
+        for (let i = 0; i < vertexCount; i++) {
+            for (let c = 0; c < 4; c++) {
+                const value = c < size ? source[i * size + c] : 1;
+                colors.push(value * baseColor[c]);
+            }
+        }
+    } else {
+        for (let i = 0; i < vertexCount; i++) {
+            colors.push(baseColor[0], baseColor[1], baseColor[2], baseColor[3]);
+        }
+    }
+
+    let indices;
+    if (primitive.indices !== undefined) {
+        indices = readAccessor(gltf, buffers, primitive.indices);
+    } else {
+        indices = [];
+        for (let i = 0; i < vertexCount; i++) {
+            indices.push(i);
+        }
+    }
+
+    return createMesh(positions, colors, indices, {
+        normals: attributes.NORMAL !== undefined ? readAccessor(gltf, buffers, attributes.NORMAL) : null,
+        uvs: attributes.TEXCOORD_0 !== undefined ? readAccessor(gltf, buffers, attributes.TEXCOORD_0) : null,
+    });
+}
+
+// Set a scene node's transform from a glTF node
+function applyGltfTransform(node, source) {
+    const rotation = source.rotation || [0, 0, 0, 1];
+
+    if (source.matrix) {
+        const translation = [0, 0, 0];
+        const scale = [1, 1, 1];
+        mat4.decompose(translation, rotation, scale, source.matrix);
+        node.translation = translation;
+        node.scale = scale;
+    } else {
+        node.translation = (source.translation || [0, 0, 0]).slice();
+        node.scale = (source.scale || [1, 1, 1]).slice();
+    }
+
+    node.rotation = quat.toEuler([0, 0, 0], rotation);
+}
+
+// Read the keyframes of every animation into clips that playGltfClip can
+// sample. Channels that target morph weights are skipped.
+function gltfAnimationClips(gltf, buffers, sceneNodes) {
+    return (gltf.animations || []).map((animation, index) => {
+        const channels = [];
+        let duration = 0;
+
+        animation.channels.forEach((channel) => {
+            const path = channel.target.path;
+            const node = sceneNodes[channel.target.node];
+            if (!node || ['translation', 'rotation', 'scale'].indexOf(path) === -1) {
+                return;
+            }
+
+            const sampler = animation.samplers[channel.sampler];
+            const times = readAccessor(gltf, buffers, sampler.input);
+            duration = Math.max(duration, times[times.length - 1] || 0);
+
+            channels.push({
+                node: node,
+                path: path,
+                times: times,
+                values: readAccessor(gltf, buffers, sampler.output),
+                size: path === 'rotation' ? 4 : 3,
+                interpolation: sampler.interpolation || 'LINEAR',
+            });
+        });
+
+        return {
+            name: animation.name || 'animation-' + index,
+            duration: duration,
+            channels: channels,
+        };
+    });
+}
+
+// Value of a channel at `time` (clamped to its keyframe range)
+function sampleGltfChannel(channel, time) {
+    const times = channel.times;
+    const size = channel.size;
+    const cubic = channel.interpolation === 'CUBICSPLINE';
+    // Cubic spline outputs hold in-tangent, value, out-tangent per keyframe
+    const stride = cubic ? size * 3 : size;
+    const valueAt = (key, part = 1) => {
+        const start = key * stride + (cubic ? part * size : 0);
+        return channel.values.slice(start, start + size);
+    };
+
+    if (time <= times[0]) {
+        return valueAt(0);
+    }
+    const last = times.length - 1;
+    if (time >= times[last]) {
+        return valueAt(last);
+    }
+
+    let key = 0;
+    while (times[key + 1] < time) {
+        key++;
+    }
+    const t0 = times[key];
+    const dt = times[key + 1] - t0;
+    const t = (time - t0) / dt;
+
+    if (channel.interpolation === 'STEP') {
+        return valueAt(key);
+    }
+
+    let value;
+    if (cubic) {
+        // Hermite spline between the two keyframes
+        const p0 = valueAt(key, 1);
+        const m0 = valueAt(key, 2);
+        const p1 = valueAt(key + 1, 1);
+        const m1 = valueAt(key + 1, 0);
+        const t2 = t * t;
+        const t3 = t2 * t;
+        value = p0.map((_, c) =>
+            (2 * t3 - 3 * t2 + 1) * p0[c] +
+            (t3 - 2 * t2 + t) * dt * m0[c] +
+            (-2 * t3 + 3 * t2) * p1[c] +
+            (t3 - t2) * dt * m1[c]);
+    } else if (channel.path === 'rotation') {
+        value = quat.slerp([0, 0, 0, 1], valueAt(key), valueAt(key + 1), t);
+    } else {
+        const a = valueAt(key);
+        const b = valueAt(key + 1);
+        value = a.map((v, c) => v + (b[c] - v) * t);
+    }
+
+    return channel.path === 'rotation' ? quat.normalize(value, value) : value;
+}
+
+// Pose a clip's nodes at `time`, looping over the clip's length
+function playGltfClip(clip, time) {
+    const clipTime = clip.duration > 0 ? ((time % clip.duration) + clip.duration) % clip.duration : 0;
+
+    clip.channels.forEach((channel) => {
+        const value = sampleGltfChannel(channel, clipTime);
+        if (channel.path === 'rotation') {
+            quat.toEuler(channel.node.rotation, value);
+        } else {
+            channel.node[channel.path] = value;
+        }
+    });
+}
+
+// Load a parsed glTF. `readBuffer` resolves an external buffer URI to an
+// ArrayBuffer; `binary` is the GLB binary chunk if there is one. Resolves
+// to { root, meshes, materials, clips } where root is a scene node holding
+// the asset's default scene.
+async function loadGLTF(gltf, readBuffer, binary = null) {
+    if (!gltf.asset || String(gltf.asset.version).split('.')[0] !== '2') {
+        throw new Error('Only glTF 2.0 assets are supported');
+    }
+
+    const buffers = [];
+    for (const buffer of gltf.buffers || []) {
+        if (buffer.uri === undefined) {
+            if (!binary) {
+                throw new Error('glTF buffer has no URI and there is no GLB binary chunk');
+            }
+            buffers.push(binary);
+        } else if (buffer.uri.startsWith('data:')) {
+            buffers.push(decodeDataUri(buffer.uri));
+        } else {
+            buffers.push(await readBuffer(decodeURIComponent(buffer.uri)));
+        }
+    }
+
+    const materials = (gltf.materials || []).map(gltfMaterial);
+    const meshes = [];
+
+    // One mesh per triangle primitive
+    const meshPrimitives = (gltf.meshes || []).map((mesh, meshIndex) => {
+        return mesh.primitives
+            .filter((primitive) => (primitive.mode === undefined ? GLTF_TRIANGLES : primitive.mode) === GLTF_TRIANGLES)
+            .map((primitive, primitiveIndex) => {
+                const material = primitive.material !== undefined ? materials[primitive.material] : null;
+                const built = {
+                    name: (mesh.name || 'mesh-' + meshIndex) + (mesh.primitives.length > 1 ? '-' + primitiveIndex : ''),
+                    mesh: gltfPrimitiveMesh(gltf, buffers, primitive, material),
+                    material: material,
+                };
+                meshes.push(built);
+                return built;
+            });
+    });
+
+    // Scene nodes, one per glTF node. A mesh with several primitives gets
+    // a child node for each.
+    const sceneNodes = (gltf.nodes || []).map((source, index) => {
+        const node = createSceneNode(source.name || 'node-' + index);
+        applyGltfTransform(node, source);
+
+        const primitives = source.mesh !== undefined ? meshPrimitives[source.mesh] : [];
+        if (primitives.length === 1) {
+            node.mesh = primitives[0].mesh;
+            node.material = primitives[0].material;
+        } else {
+            primitives.forEach((primitive) => {
+                const child = createSceneNode(primitive.name, { mesh: primitive.mesh });
+                child.material = primitive.material;
+                addChild(node, child);
+            });
+        }
+        return node;
+    });
+
+    (gltf.nodes || []).forEach((source, index) => {
+        (source.children || []).forEach((child) => addChild(sceneNodes[index], sceneNodes[child]));
+    });
+
+    const root = createSceneNode('gltf');
+    const sceneIndex = gltf.scene !== undefined ? gltf.scene : 0;
+    const sceneSource = (gltf.scenes || [])[sceneIndex];
+    const rootNodes = sceneSource ? sceneSource.nodes :
+        sceneNodes.map((node, index) => index).filter((index) => !sceneNodes[index].parent);
+    rootNodes.forEach((index) => addChild(root, sceneNodes[index]));
+
+    return {
+        root: root,
+        meshes: meshes,
+        materials: materials.filter((material) => material),
+        clips: gltfAnimationClips(gltf, buffers, sceneNodes),
+    };
+}
+
+// Load a .gltf or .glb from bytes. `readFile` resolves a relative URI to an
+// ArrayBuffer for external buffers.
+async function loadGLTFData(arrayBuffer, isBinary, readFile) {
+    if (isBinary) {
+        const glb = parseGLB(arrayBuffer);
+        return loadGLTF(glb.json, readFile, glb.binary);
+    }
+    const json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer)));
+    return loadGLTF(json, readFile);
+}
+
+// Load a .gltf or .glb from a URL
+async function loadGLTFUrl(url) {
+    const fetchBuffer = async (resourceUrl) => {
+        const response = await fetch(resourceUrl);
+        if (!response.ok) {
+            throw new Error('Could not load ' + resourceUrl + ' (HTTP ' + response.status + ')');
+        }
+        return response.arrayBuffer();
+    };
+
+    const data = await fetchBuffer(url);
+    return loadGLTFData(data, fileExtension(url) === 'glb', (uri) => fetchBuffer(resolveUrl(uri, url)));
+}
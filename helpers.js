@@ -0,0 +1,132 @@
+// Helpers
+//
+// Line geometry for finding your way around the scene, drawn alongside it
+// but not part of it: a grid on the floor, the world X/Y/Z axes, each
+// object's local axes and each object's bounding box. Each one is toggled
+// from the control panel. Axes use the gizmo's colors: X red, Y green,
+// Z blue.
+//
+// The grid lies at the bottom of the scene as it was loaded, just above
+// any ground plane there so the two don't fight over depth.
+
+const HELPER_GRID_SIZE = 20;
+const HELPER_GRID_MAJOR_EVERY = 5; // cells between darker lines
+const HELPER_GRID_COLOR = [0.75, 0.75, 0.75, 1.0];
+const HELPER_GRID_MAJOR_COLOR = [0.45, 0.45, 0.45, 1.0];
+const HELPER_GRID_LIFT = 0.005;
+const HELPER_WORLD_AXES_LENGTH = 3;
+// Local axes reach this far past the furthest corner of the object's bounds
+const HELPER_LOCAL_AXES_REACH = 1.25;
+const HELPER_BOUNDS_COLOR = [1.0, 0.6, 0.0, 1.0];
+
+// Create the helpers' line meshes and which of them are shown
+function createHelpers(options = {}) {
+    return {
+        showGrid: options.showGrid !== undefined ? options.showGrid : true,
+        showWorldAxes: options.showWorldAxes !== undefined ? options.showWorldAxes : true,
+        showLocalAxes: options.showLocalAxes || false,
+        showBounds: options.showBounds || false,
+        gridHeight: 0,
+        grid: createGridLines(HELPER_GRID_SIZE),
+        axes: createAxesLines(),
+        box: createBoxLines(),
+    };
+}
+
+// Square grid of 1-unit cells in the XZ plane, centered on the origin
+function createGridLines(size) {
+    const positions = [];
+    const colors = [];
+    const half = size / 2;
+
+    for (let i = -half; i <= half; i++) {
+        const color = i % HELPER_GRID_MAJOR_EVERY === 0 ? HELPER_GRID_MAJOR_COLOR : HELPER_GRID_COLOR;
+        positions.push(i, 0, -half, i, 0, half);
+        positions.push(-half, 0, i, half, 0, i);
+        for (let v = 0; v < 4; v++) {
+            colors.push(...color);
+        }
+    }
+
+    return createLineMesh(positions, colors);
+}
+
+// Unit-length X, Y and Z axes from the origin
+function createAxesLines() {
+    const positions = [];
+    const colors = [];
+
+    GIZMO_AXIS_COLORS.forEach((color, axis) => {
+        const end = [0, 0, 0];
+        end[axis] = 1;
+        positions.push(0, 0, 0, ...end);
+        colors.push(...color, ...color);
+    });
+
+    return createLineMesh(positions, colors);
+}
+
+// The twelve edges of the unit cube from (0, 0, 0) to (1, 1, 1)
+function createBoxLines() {
+    const positions = [];
+    const corner = (i) => [i & 1, (i >> 1) & 1, (i >> 2) & 1];
+
+    // Edges join corners that differ in exactly one bit
+    for (let i = 0; i < 8; i++) {
+        [1, 2, 4].forEach((bit) => {
+            if (!(i & bit)) {
+                positions.push(...corner(i), ...corner(i | bit));
+            }
+        });
+    }
+
+    return createLineMesh(positions, new Array(positions.length / 3 * 4).fill(1.0));
+}
+
+// Put the grid at the bottom of the scene under `root`. World matrices
+// must be up to date.
+function placeHelperGrid(helpers, root) {
+    const bounds = sceneBounds(root);
+    helpers.gridHeight = bounds ? bounds.min[1] + HELPER_GRID_LIFT : 0;
+}
+
+// Draw the helpers that are switched on, depth-tested against the scene
+function drawHelpers(helpers, root, viewMatrix, projectionMatrix) {
+    const modelViewMatrix = mat4.create();
+
+    if (helpers.showGrid) {
+        mat4.translate(modelViewMatrix, viewMatrix, [0, helpers.gridHeight, 0]);
+        drawLines(helpers.grid, modelViewMatrix, projectionMatrix);
+    }
+
+    if (helpers.showWorldAxes) {
+        const length = HELPER_WORLD_AXES_LENGTH;
+        mat4.scale(modelViewMatrix, viewMatrix, [length, length, length]);
+        drawLines(helpers.axes, modelViewMatrix, projectionMatrix);
+    }
+
+    if (!helpers.showLocalAxes && !helpers.showBounds) {
+        return;
+    }
+    traverseScene(root, (node) => {
+        if (!node.mesh || !node.mesh.data) {
+            return;
+        }
+        const bounds = meshBounds(node.mesh);
+        mat4.multiply(modelViewMatrix, viewMatrix, node.worldMatrix);
+
+        if (helpers.showBounds) {
+            const boxMatrix = mat4.translate(mat4.create(), modelViewMatrix, bounds.min);
+            mat4.scale(boxMatrix, boxMatrix, vec3.subtract(vec3.create(), bounds.max, bounds.min));
+            drawLines(helpers.box, boxMatrix, projectionMatrix, HELPER_BOUNDS_COLOR);
+        }
+
+        if (helpers.showLocalAxes) {
+            // Long enough to poke out of the object whatever its size
+            const reach = Math.max(...bounds.min.map(Math.abs), ...bounds.max.map(Math.abs));
+            const length = (reach || 1) * HELPER_LOCAL_AXES_REACH;
+            drawLines(helpers.axes, mat4.scale(mat4.create(), modelViewMatrix, [length, length, length]),
+                projectionMatrix);
+        }
+    });
+}
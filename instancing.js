@@ -0,0 +1,119 @@
+// Instanced drawing
+//
+// Nodes that share a mesh, a material and a shader are drawn together in
+// one instanced call instead of one call each. Every node's world matrix,
+// normal matrix and color are written into a single interleaved buffer of
+// per-instance attributes, read by the USE_INSTANCING variant of the
+// shader (named with an "Instanced" suffix: litInstanced, ...). The shadow
+// pass batches the same way.
+//
+// Without instancing support (see instancingSupport in capabilities.js) every
+// node is drawn on its own as before.
+
+// Nodes sharing a mesh are batched once there are this many of them
+const INSTANCE_MIN_BATCH = 2;
+
+// Floats per instance: model matrix, normal matrix, color
+const INSTANCE_FLOATS = 16 + 9 + 4;
+const INSTANCE_STRIDE = INSTANCE_FLOATS * 4;
+
+// Shaders that get an instanced variant
+const INSTANCED_SHADERS = ['unlit', 'lit', 'textured', 'wireframe', 'normals', 'shadowDepth'];
+
+INSTANCED_SHADERS.forEach((name) => {
+    const entry = SHADER_LIBRARY[name];
+    SHADER_LIBRARY[name + 'Instanced'] = Object.assign({}, entry, {
+        defines: (entry.defines || []).concat('USE_INSTANCING'),
+        instanced: true,
+    });
+});
+
+// Name of a shader's instanced variant, or null if it has none
+function instancedShaderName(name) {
+    return INSTANCED_SHADERS.includes(name) ? name + 'Instanced' : null;
+}
+
+// Create the buffer instance attributes are streamed through. It grows as
+// larger batches come along, and keeps its buffer object so vertex arrays
+// pointing at it stay valid.
+function createInstanceBuffer(gl) {
+    return {
+        gl: gl,
+        buffer: gl.createBuffer(),
+        capacity: 0,
+        data: new Float32Array(0),
+    };
+}
+
+// Write the nodes' world matrices, normal matrices and colors into the
+// instance buffer and upload them. World matrices must be up to date.
+function uploadInstances(instances, nodes) {
+    const gl = instances.gl;
+    if (nodes.length > instances.capacity) {
+        instances.capacity = Math.max(nodes.length, instances.capacity * 2);
+        instances.data = new Float32Array(instances.capacity * INSTANCE_FLOATS);
+        gl.bindBuffer(gl.ARRAY_BUFFER, instances.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, instances.data.byteLength, gl.DYNAMIC_DRAW);
+    }
+
+    const normalMatrix = mat4.create();
+    nodes.forEach((node, i) => {
+        const offset = i * INSTANCE_FLOATS;
+        instances.data.set(node.worldMatrix, offset);
+        // Inverse transpose, as for a single node's normal matrix
+        mat4.invert(normalMatrix, node.worldMatrix);
+        mat4.transpose(normalMatrix, normalMatrix);
+        for (let column = 0; column < 3; column++) {
+            instances.data.set(normalMatrix.subarray(column * 4, column * 4 + 3), offset + 16 + column * 3);
+        }
+        instances.data.set(node.color || NODE_COLOR_WHITE, offset + 25);
+    });
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, instances.buffer);
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, instances.data.subarray(0, nodes.length * INSTANCE_FLOATS));
+}
+
+// Point the instance attributes at the instance buffer, one step per
+// instance
+function pointInstanceAttributes(cache, instances) {
+    const buffer = instances.buffer;
+    for (let column = 0; column < 4; column++) {
+        pointAttribute(cache, ATTRIBUTE_LOCATIONS.instanceMatrix + column, buffer, 4,
+            INSTANCE_STRIDE, column * 16, 1);
+    }
+    for (let column = 0; column < 3; column++) {
+        pointAttribute(cache, ATTRIBUTE_LOCATIONS.instanceNormalMatrix + column, buffer, 3,
+            INSTANCE_STRIDE, 64 + column * 12, 1);
+    }
+    pointAttribute(cache, ATTRIBUTE_LOCATIONS.instanceColor, buffer, 4, INSTANCE_STRIDE, 100, 1);
+}
+
+// Split nodes into batches that share a mesh and the nodes left to draw one
+// at a time: { batches: [[node, ...], ...], singles: [node, ...] }. Nodes
+// `alone` picks out are always singles, as are meshes with too few nodes.
+function batchInstances(cache, nodes, alone = () => false) {
+    if (!cache.instancing) {
+        return { batches: [], singles: nodes };
+    }
+    const byMesh = new Map();
+    const singles = [];
+    nodes.forEach((node) => {
+        if (alone(node)) {
+            singles.push(node);
+        } else if (byMesh.has(node.mesh)) {
+            byMesh.get(node.mesh).push(node);
+        } else {
+            byMesh.set(node.mesh, [node]);
+        }
+    });
+
+    const batches = [];
+    byMesh.forEach((group) => {
+        if (group.length >= INSTANCE_MIN_BATCH) {
+            batches.push(group);
+        } else {
+            singles.push(...group);
+        }
+    });
+    return { batches: batches, singles: singles };
+}
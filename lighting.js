@@ -0,0 +1,167 @@
+// Light management
+//
+// Lights are kept in world space. Every frame applyLightUniforms moves
+// them into view space (where the lit shader does its math) and uploads
+// them as uniform arrays, so lights can be added, removed or recolored at
+// any time without touching the shaders.
+
+const MAX_DIRECTIONAL_LIGHTS = 4;
+const MAX_POINT_LIGHTS = 4;
+
+const lights = [];
+const ambientLight = {
+    color: [1.0, 1.0, 1.0],
+    intensity: 0.25,
+};
+
+// Add a directional light. `direction` is the way the light travels.
+function addDirectionalLight(options = {}) {
+    if (countLights('directional') >= MAX_DIRECTIONAL_LIGHTS) {
+        throw new Error('At most ' + MAX_DIRECTIONAL_LIGHTS + ' directional lights are supported');
+    }
+
+    const light = {
+        type: 'directional',
+        name: options.name || 'directional' + lights.length,
+        direction: options.direction ? options.direction.slice() : [0.0, -1.0, 0.0],
+        color: options.color ? options.color.slice() : [1.0, 1.0, 1.0],
+        intensity: options.intensity !== undefined ? options.intensity : 1.0,
+        enabled: options.enabled !== undefined ? options.enabled : true,
+        castShadows: options.castShadows || false,
+    };
+    lights.push(light);
+    return light;
+}
+
+// Add a point light. Brightness falls off with distance; `range` is the
+// distance at which it has dropped to half.
+function addPointLight(options = {}) {
+    if (countLights('point') >= MAX_POINT_LIGHTS) {
+        throw new Error('At most ' + MAX_POINT_LIGHTS + ' point lights are supported');
+    }
+
+    const light = {
+        type: 'point',
+        name: options.name || 'point' + lights.length,
+        position: options.position ? options.position.slice() : [0.0, 0.0, 0.0],
+        color: options.color ? options.color.slice() : [1.0, 1.0, 1.0],
+        intensity: options.intensity !== undefined ? options.intensity : 1.0,
+        range: options.range !== undefined ? options.range : 10.0,
+        enabled: options.enabled !== undefined ? options.enabled : true,
+        castShadows: options.castShadows || false,
+    };
+    lights.push(light);
+    return light;
+}
+
+// Remove the light called `name`. Returns it, or null if there's none.
+function removeLight(name) {
+    const index = lights.findIndex((light) => light.name === name);
+    return index === -1 ? null : lights.splice(index, 1)[0];
+}
+
+function clearLights() {
+    lights.length = 0;
+}
+
+function findLight(name) {
+    return lights.find((light) => light.name === name) || null;
+}
+
+function setLightColor(light, color) {
+    light.color = color.slice();
+}
+
+function setLightIntensity(light, intensity) {
+    light.intensity = intensity;
+}
+
+function setAmbientLight(color, intensity) {
+    ambientLight.color = color.slice();
+    ambientLight.intensity = intensity;
+}
+
+function countLights(type) {
+    return lights.filter((light) => light.type === type).length;
+}
+
+// Parse a "#rrggbb" color input value into [r, g, b]
+function hexToColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [
+        ((value >> 16) & 255) / 255,
+        ((value >> 8) & 255) / 255,
+        (value & 255) / 255,
+    ];
+}
+
+// Upload the enabled lights to the lit shader, in view space, along with
+// which of this frame's shadow maps (if any) each one casts into
+function applyLightUniforms(cache, shader, viewMatrix, shadowMaps = []) {
+    const directions = new Float32Array(MAX_DIRECTIONAL_LIGHTS * 3);
+    const directionalColors = new Float32Array(MAX_DIRECTIONAL_LIGHTS * 3);
+    const positions = new Float32Array(MAX_POINT_LIGHTS * 3);
+    const pointColors = new Float32Array(MAX_POINT_LIGHTS * 3);
+    const ranges = new Float32Array(MAX_POINT_LIGHTS);
+    const directionalShadows = new Int32Array(MAX_DIRECTIONAL_LIGHTS).fill(-1);
+    const pointShadows = new Int32Array(MAX_POINT_LIGHTS).fill(-1);
+    let directionalCount = 0;
+    let pointCount = 0;
+
+    lights.forEach((light) => {
+        if (!light.enabled) {
+            return;
+        }
+
+        if (light.type === 'directional') {
+            const i = directionalCount * 3;
+            directions.set(vec3.transformDirection(vec3.create(), light.direction, viewMatrix), i);
+            for (let c = 0; c < 3; c++) {
+                directionalColors[i + c] = light.color[c] * light.intensity;
+            }
+            directionalShadows[directionalCount] = shadowMaps.findIndex((map) => map.light === light);
+            directionalCount++;
+        } else if (light.type === 'point') {
+            const i = pointCount * 3;
+            positions.set(vec3.transformMat4(vec3.create(), light.position, viewMatrix), i);
+            for (let c = 0; c < 3; c++) {
+                pointColors[i + c] = light.color[c] * light.intensity;
+            }
+            ranges[pointCount] = light.range;
+            pointShadows[pointCount] = shadowMaps.findIndex((map) => map.light === light);
+            pointCount++;
+        }
+    });
+
+    setUniforms(cache, shader, {
+        ambientLight: ambientLight.color.map((c) => c * ambientLight.intensity),
+        directionalLightCount: directionalCount,
+        directionalLightDirections: directions,
+        directionalLightColors: directionalColors,
+        pointLightCount: pointCount,
+        pointLightPositions: positions,
+        pointLightColors: pointColors,
+        pointLightRanges: ranges,
+        directionalLightShadows: directionalShadows,
+        pointLightShadows: pointShadows,
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_DIRECTIONAL_LIGHTS,
+        MAX_POINT_LIGHTS,
+        lights,
+        ambientLight,
+        addDirectionalLight,
+        addPointLight,
+        removeLight,
+        clearLights,
+        findLight,
+        setLightColor,
+        setLightIntensity,
+        setAmbientLight,
+        hexToColor,
+        applyLightUniforms,
+    };
+}
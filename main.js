@@ -1,973 +1,1673 @@
-// Vertex shader program
-const vsSource = `
-    attribute vec4 aVertexPosition;
-    attribute vec4 aVertexColor;
-
-    uniform mat4 uModelViewMatrix;
-    uniform mat4 uProjectionMatrix;
-
-    varying lowp vec4 vColor;
-
-    void main(void) {
-        gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
-        vColor = aVertexColor;
-    }
-`;
-
-// Fragment shader program
-const fsSource = `
-    varying lowp vec4 vColor;
-
-    void main(void) {
-        gl_FragColor = vColor;
-    }
-`;
-
-// Global variables
-let gl;
-let shaderProgram;
-let programInfo;
-let buffers = {};
-let animationEnabled = true;
-let animationTime = 0;
-
-// User control values
-let userRotX = 0;
-let userRotY = 0;
-let userRotZ = 0;
-let userScale = 1.0;
-let userTransX = 0.0;
-let userTransY = 0.0;
-
-// Initialize WebGL
-function initWebGL() {
-    const canvas = document.getElementById('glCanvas');
-    gl = canvas.getContext('webgl');
-
-    if (!gl) {
-        alert('Unable to initialize WebGL. Your browser may not support it.');
-        return;
-    }
-
-    gl.clearColor(1.0, 1.0, 1.0, 1.0);
-    gl.clearDepth(1.0);
-    gl.enable(gl.DEPTH_TEST);
-    gl.depthFunc(gl.LEQUAL);
-
-    shaderProgram = initShaderProgram(gl, vsSource, fsSource);
-
-    programInfo = {
-        program: shaderProgram,
-        attribLocations: {
-            vertexPosition: gl.getAttribLocation(shaderProgram, 'aVertexPosition'),
-            vertexColor: gl.getAttribLocation(shaderProgram, 'aVertexColor'),
-        },
-        uniformLocations: {
-            projectionMatrix: gl.getUniformLocation(shaderProgram, 'uProjectionMatrix'),
-            modelViewMatrix: gl.getUniformLocation(shaderProgram, 'uModelViewMatrix'),
-        },
-    };
-
-    initBuffers();
-    setupControls();
-    drawScene();
-}
-
-// Initialize shader program
-function initShaderProgram(gl, vsSource, fsSource) {
-    const vertexShader = loadShader(gl, gl.VERTEX_SHADER, vsSource);
-    const fragmentShader = loadShader(gl, gl.FRAGMENT_SHADER, fsSource);
-
-    const shaderProgram = gl.createProgram();
-    gl.attachShader(shaderProgram, vertexShader);
-    gl.attachShader(shaderProgram, fragmentShader);
-    gl.linkProgram(shaderProgram);
-
-    if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
-        alert('Unable to initialize the shader program: ' + gl.getProgramInfoLog(shaderProgram));
-        return null;
-    }
-
-    return shaderProgram;
-}
-
-// Load shader
-function loadShader(gl, type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        alert('An error occurred compiling the shaders: ' + gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);
-        return null;
-    }
-
-    return shader;
-}
-
-// Initialize buffers for multiple objects
-function initBuffers() {
-	
-	// Jack in a Box
-	// Cube
-    buffers.cube = initCubeBuffer();
-	// Crank
-	buffers.crank = initCrankBuffer();
-	// Panel
-	buffers.panel = initPanelBuffer();
-
-    // Pyramid
-    buffers.pyramid = initPyramidBuffer();
-
-    // Octahedron
-    buffers.octahedron = initOctahedronBuffer();
-
-    // Star (2D shape)
-    buffers.star = initStarBuffer();
-}
-
-// Create cube buffer
-function initCubeBuffer() {
-    const positions = [
-        // Front face
-        -0.5, -0.5,  0.5,
-         0.5, -0.5,  0.5,
-         0.5,  0.5,  0.5,
-        -0.5,  0.5,  0.5,
-
-        // Back face
-        -0.5, -0.5, -0.5,
-        -0.5,  0.5, -0.5,
-         0.5,  0.5, -0.5,
-         0.5, -0.5, -0.5,
-
-        // Bottom face
-        -0.5, -0.5, -0.5,
-         0.5, -0.5, -0.5,
-         0.5, -0.5,  0.5,
-        -0.5, -0.5,  0.5,
-
-        // Right face
-         0.5, -0.5, -0.5,
-         0.5,  0.5, -0.5,
-         0.5,  0.5,  0.5,
-         0.5, -0.5,  0.5,
-
-        // Left face
-        -0.5, -0.5, -0.5,
-        -0.5, -0.5,  0.5,
-        -0.5,  0.5,  0.5,
-        -0.5,  0.5, -0.5,
-		
-        // Top face
-        -0.5,  0.5, -0.5, // 20
-        -0.5,  0.5,  0.5, // 21
-         0.5,  0.5,  0.5, // 22
-         0.5,  0.5, -0.5, // 23
-		-0.3,  0.5,  0.3, // 24
-		-0.3,  0.5, -0.3, // 25
-         0.3,  0.5,  0.3, // 26
-         0.3,  0.5, -0.3, // 27
-    ];
-
-    const colors = [
-        [1.0, 0.0, 0.0, 1.0], // Front - Red
-        [0.0, 1.0, 0.0, 1.0], // Back - Green
-        [1.0, 1.0, 0.0, 1.0], // Bottom - Yellow
-        [1.0, 0.0, 1.0, 1.0], // Right - Magenta
-        [0.0, 1.0, 1.0, 1.0], // Left - Cyan
-		[0.0, 0.0, 1.0, 1.0], // Top - Blue
-		[0.0, 0.0, 1.0, 1.0], // Top - Blue
-		[0.0, 0.0, 1.0, 1.0], // Top - Blue
-		[0.0, 0.0, 1.0, 1.0], // Top - Blue
-    ];
-
-    let faceColors = [];
-    for (let i = 0; i < colors.length; i++) {
-        faceColors = faceColors.concat(colors[i], colors[i], colors[i], colors[i]);
-    }
-
-    const indices = [
-        0,  1,  2,    0,  2,  3,  // front
-        4,  5,  6,    4,  6,  7,  // back
-        8,  9,  10,   8,  10, 11, // bottom
-        12, 13, 14,   12, 14, 15, // right
-        16, 17, 18,   16, 18, 19, // left
-        20, 21, 24,   20, 24, 25, // top
-		21, 22, 26,   21, 24, 26, // top
-		22, 23, 27,   22, 27, 26, // top
-		23, 20, 25,   23, 25, 27, // top
-    ];
-
-    return {
-        position: createBuffer(positions),
-        color: createBuffer(faceColors),
-        indices: createIndexBuffer(indices),
-        vertexCount: indices.length,
-    };
-}
-
-// Create jackInABox buffer
-function initCrankBuffer() {
-    const positions = [
-		// Axel
-		// Left face
-		0.5, -0.06, -0.06,
-		0.5,  0.06, -0.06,
-		0.5,  0.06,  0.06,
-		0.5, -0.06,  0.06,
-		
-		// Bottom face
-		0.5, -0.06, -0.06,
-		0.5,  0.06, -0.06,
-		0.65, 0.06, -0.06,
-		0.65,-0.06, -0.06,
-		
-		// Front face
-		0.5,  -0.06, -0.06,
-		0.65, -0.06, -0.06,
-		0.65, -0.06,  0.06,
-		0.5,  -0.06,  0.06,
-		
-		// Top face
-		0.65, -0.06, 0.06,
-		0.65,  0.06, 0.06,
-		0.5,   0.06,  0.06,
-		0.5,  -0.06,  0.06,
-		
-		// Back face
-		0.65, 0.06, -0.06,
-		0.5,  0.06, -0.06,
-		0.5,  0.06,  0.06,
-		0.65, 0.06,  0.06,
-		
-		// Handle
-		// Left face
-		0.65, -0.12, -0.12,
-		0.65,  0.12, -0.12,
-		0.65,  0.12,  0.4,
-		0.65, -0.12,  0.4,
-		
-		// Bottom face
-		0.65, -0.12, -0.12,
-		0.7,  -0.12, -0.12,
-		0.7,  -0.12,  0.4,
-		0.65, -0.12,  0.4,
-		
-		// Front face
-		0.7,  -0.12, 0.4,
-		0.7,   0.12, 0.4,
-		0.65,  0.12, 0.4,
-		0.65, -0.12, 0.4,
-		
-		// Top face
-		0.7,  0.12, -0.12,
-		0.65, 0.12, -0.12,
-		0.65, 0.12,  0.4,
-		0.7,  0.12,  0.4,
-		
-		// Back face
-		0.65, -0.12, -0.12,
-		0.65,  0.12, -0.12,
-		0.7,   0.12, -0.12,
-		0.7,  -0.12, -0.12,
-		
-		// Right face
-		0.7, -0.12, -0.12,
-		0.7,  0.12, -0.12,
-		0.7,  0.12,  0.4,
-		0.7, -0.12,  0.4,
-		
-		// Knob
-		// Right face
-		0.85, -0.06, 0.22,
-		0.85,  0.06, 0.22,
-		0.85,  0.06, 0.34,
-		0.85, -0.06, 0.34,
-		
-		// Bottom face
-		0.7,  -0.06, 0.22,
-		0.7,   0.06, 0.22,
-		0.85,  0.06, 0.22,
-		0.85, -0.06, 0.22,
-		
-		// Front face
-		0.7,  -0.06, 0.22,
-		0.85, -0.06, 0.22,
-		0.85, -0.06, 0.34,
-		0.7,  -0.06, 0.34,
-		
-		// Top face
-		0.85, -0.06, 0.34,
-		0.85,  0.06, 0.34,
-		0.7,   0.06, 0.34,
-		0.7,  -0.06, 0.34,
-		
-		// Back face
-		0.85, 0.06, 0.22,
-		0.7,  0.06, 0.22,
-		0.7,  0.06, 0.34,
-		0.85, 0.06, 0.34,
-    ];
-
-    const colors = [
-		[0.4,  0.4, 0.4, 1.0], // Crank Axel - Gray
-		[0.4,  0.4, 0.4, 1.0], // Crank Axel - Gray
-		[0.4,  0.4, 0.4, 1.0], // Crank Axel - Gray
-		[0.4,  0.4, 0.4, 1.0], // Crank Axel - Gray
-		[0.4,  0.4, 0.4, 1.0], // Crank Axel - Gray
-		[0.5,  0.5, 0.5, 1.0], // Crank Handle - Gray
-		[0.5,  0.5, 0.5, 1.0], // Crank Handle - Gray
-		[0.5,  0.5, 0.5, 1.0], // Crank Handle - Gray
-		[0.5,  0.5, 0.5, 1.0], // Crank Handle - Gray
-		[0.5,  0.5, 0.5, 1.0], // Crank Handle - Gray
-		[0.5,  0.5, 0.5, 1.0], // Crank Handle - Gray
-		[0.75, 0.0, 0.0, 1.0], // Crank Knob - Red
-		[0.75, 0.0, 0.0, 1.0], // Crank Knob - Red
-		[0.75, 0.0, 0.0, 1.0], // Crank Knob - Red
-		[0.75, 0.0, 0.0, 1.0], // Crank Knob - Red
-		[0.75, 0.0, 0.0, 1.0], // Crank Knob - Red
-    ];
-
-    let faceColors = [];
-    for (let i = 0; i < colors.length; i++) {
-        faceColors = faceColors.concat(colors[i], colors[i], colors[i], colors[i]);
-    }
-
-    const indices = [
-		// cube
-        0,  1,  2,    0,  2,  3,  // front
-        4,  5,  6,    4,  6,  7,  // back
-        8,  9,  10,   8,  10, 11, // top
-        12, 13, 14,   12, 14, 15, // bottom
-        16, 17, 18,   16, 18, 19, // right
-        20, 21, 22,   20, 22, 23, // left
-		// crank
-		// axel
-		24, 25, 26,   24, 26, 27, // left
-		28, 29, 30,   28, 30, 31, // bottom
-		32, 33, 34,   32, 34, 35, // front
-		36, 37, 38,   36, 38, 39, // top
-		40, 41, 42,   40, 42, 43, // back
-		// handle
-		44, 45, 46,   44, 46, 47, // left
-		48, 49, 50,   48, 50, 51, // bottom
-		52, 53, 54,   52, 54, 55, // front
-		56, 57, 58,   56, 58, 59, // top
-    ];
-
-    return {
-        position: createBuffer(positions),
-        color: createBuffer(faceColors),
-        indices: createIndexBuffer(indices),
-        vertexCount: indices.length,
-    };
-}
-
-// Create panel buffer
-function initPanelBuffer() {
-    const positions = [
-        
-        // Top face
-        -0.3,  0.5, -0.3,
-        -0.3,  0.5,  0.3,
-         0.3,  0.5,  0.3,
-         0.3,  0.5, -0.3,
-    ];
-
-    const colors = [
-        [0.0, 0.0, 1.0, 1.0], // panel
-    ];
-
-    let faceColors = [];
-    for (let i = 0; i < colors.length; i++) {
-        faceColors = faceColors.concat(colors[i], colors[i], colors[i], colors[i]);
-    }
-
-    const indices = [
-        0,  1,  2,    0,  2,  3, // panel
-    ];
-
-    return {
-        position: createBuffer(positions),
-        color: createBuffer(faceColors),
-        indices: createIndexBuffer(indices),
-        vertexCount: indices.length,
-    };
-}
-
-// Create pyramid buffer
-function initPyramidBuffer() {
-    const positions = [
-        // Base
-        -0.5, -0.5,  0.5,
-         0.5, -0.5,  0.5,
-         0.5, -0.5, -0.5,
-        -0.5, -0.5, -0.5,
-
-        // Apex
-         0.0,  0.5,  0.0,
-         0.0,  0.5,  0.0,
-         0.0,  0.5,  0.0,
-         0.0,  0.5,  0.0,
-    ];
-
-    const colors = [
-        1.0, 1.0, 0.0, 1.0, // Yellow
-        1.0, 1.0, 0.0, 1.0,
-        1.0, 1.0, 0.0, 1.0,
-        1.0, 1.0, 0.0, 1.0,
-
-        1.0, 0.5, 0.0, 1.0, // Orange
-        1.0, 0.5, 0.0, 1.0,
-        1.0, 0.5, 0.0, 1.0,
-        1.0, 0.5, 0.0, 1.0,
-    ];
-
-    const indices = [
-        0, 1, 2,  0, 2, 3, // Base
-        0, 1, 4, // Front
-        1, 2, 5, // Right
-        2, 3, 6, // Back
-        3, 0, 7, // Left
-    ];
-
-    return {
-        position: createBuffer(positions),
-        color: createBuffer(colors),
-        indices: createIndexBuffer(indices),
-        vertexCount: indices.length,
-    };
-}
-
-// Create octahedron buffer
-function initOctahedronBuffer() {
-    const positions = [
-        // Top pyramid
-         0.0,  0.6,  0.0, // Top
-        -0.4,  0.0,  0.4, // Front-left
-         0.4,  0.0,  0.4, // Front-right
-         0.4,  0.0, -0.4, // Back-right
-        -0.4,  0.0, -0.4, // Back-left
-
-        // Bottom pyramid
-         0.0, -0.6,  0.0, // Bottom
-    ];
-
-    const colors = [
-        0.0, 1.0, 1.0, 1.0, // Cyan
-        0.0, 1.0, 1.0, 1.0,
-        0.0, 1.0, 1.0, 1.0,
-        0.0, 1.0, 1.0, 1.0,
-        0.0, 1.0, 1.0, 1.0,
-        1.0, 0.0, 1.0, 1.0, // Magenta
-    ];
-
-    const indices = [
-        // Top pyramid
-        0, 1, 2,
-        0, 2, 3,
-        0, 3, 4,
-        0, 4, 1,
-
-        // Bottom pyramid
-        5, 2, 1,
-        5, 3, 2,
-        5, 4, 3,
-        5, 1, 4,
-    ];
-
-    return {
-        position: createBuffer(positions),
-        color: createBuffer(colors),
-        indices: createIndexBuffer(indices),
-        vertexCount: indices.length,
-    };
-}
-
-// Create star buffer
-function initStarBuffer() {
-    const points = 5;
-    const outerRadius = 0.5;
-    const innerRadius = 0.2;
-
-    let positions = [0.0, 0.0, 0.0]; // Center
-    let colors = [1.0, 1.0, 1.0, 1.0]; // White center
-
-    for (let i = 0; i <= points * 2; i++) {
-        const angle = (i * Math.PI) / points;
-        const radius = i % 2 === 0 ? outerRadius : innerRadius;
-
-        positions.push(
-            radius * Math.cos(angle - Math.PI / 2),
-            radius * Math.sin(angle - Math.PI / 2),
-            0.0
-        );
-
-        if (i % 2 === 0) {
-            colors.push(1.0, 0.8, 0.0, 1.0); // Gold for outer points
-        } else {
-            colors.push(1.0, 1.0, 0.5, 1.0); // Light yellow for inner points
-        }
-    }
-
-    let indices = [];
-    for (let i = 1; i <= points * 2; i++) {
-        indices.push(0, i, i + 1);
-    }
-
-    return {
-        position: createBuffer(positions),
-        color: createBuffer(colors),
-        indices: createIndexBuffer(indices),
-        vertexCount: indices.length,
-    };
-}
-
-// Helper function to create buffer
-function createBuffer(data) {
-    const buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.STATIC_DRAW);
-    return buffer;
-}
-
-// Helper function to create index buffer
-function createIndexBuffer(data) {
-    const buffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(data), gl.STATIC_DRAW);
-    return buffer;
-}
-
-// Setup UI controls
-function setupControls() {
-    const rotX = document.getElementById('rotX');
-    const rotY = document.getElementById('rotY');
-    const rotZ = document.getElementById('rotZ');
-    const transX = document.getElementById('transX');
-    const transY = document.getElementById('transY');
-    const toggleBtn = document.getElementById('toggleAnimation');
-    const resetBtn = document.getElementById('resetView');
-
-    rotX.addEventListener('input', (e) => {
-        userRotX = parseFloat(e.target.value);
-        document.getElementById('rotXValue').textContent = userRotX;
-    });
-
-    rotY.addEventListener('input', (e) => {
-        userRotY = parseFloat(e.target.value);
-        document.getElementById('rotYValue').textContent = userRotY;
-    });
-
-    rotZ.addEventListener('input', (e) => {
-        userRotZ = parseFloat(e.target.value);
-        document.getElementById('rotZValue').textContent = userRotZ;
-    });
-
-    transX.addEventListener('input', (e) => {
-        userTransX = parseFloat(e.target.value);
-        document.getElementById('transXValue').textContent = userTransX.toFixed(1);
-    });
-
-    transY.addEventListener('input', (e) => {
-        userTransY = parseFloat(e.target.value);
-        document.getElementById('transYValue').textContent = userTransY.toFixed(1);
-    });
-
-    toggleBtn.addEventListener('click', () => {
-        animationEnabled = !animationEnabled;
-        toggleBtn.textContent = animationEnabled ? 'Stop Animation' : 'Start Animation';
-    });
-
-    resetBtn.addEventListener('click', () => {
-        userRotX = 0;
-        userRotY = 0;
-        userRotZ = 0;
-        userScale = 1.0;
-        userTransX = 0.0;
-        userTransY = 0.0;
-
-        rotX.value = 0;
-        rotY.value = 0;
-        rotZ.value = 0;
-        transX.value = 0;
-        transY.value = 0;
-
-        document.getElementById('rotXValue').textContent = '0';
-        document.getElementById('rotYValue').textContent = '0';
-        document.getElementById('rotZValue').textContent = '0';
-        document.getElementById('transXValue').textContent = '0.0';
-        document.getElementById('transYValue').textContent = '0.0';
-    });
-}
-
-// Matrix operations
-function createProjectionMatrix() {
-    const fieldOfView = 45 * Math.PI / 180;
-    const aspect = gl.canvas.clientWidth / gl.canvas.clientHeight;
-    const zNear = 0.1;
-    const zFar = 100.0;
-    const projectionMatrix = mat4.create();
-
-    mat4.perspective(projectionMatrix, fieldOfView, aspect, zNear, zFar);
-    return projectionMatrix;
-}
-
-function createModelViewMatrix(translateX, translateY, translateZ, rotateX, rotateY, rotateZ, scaleVal) {
-    const modelViewMatrix = mat4.create();
-
-    // Apply user transformations
-    mat4.translate(modelViewMatrix, modelViewMatrix, [userTransX, userTransY, -8.0]);
-    mat4.rotateX(modelViewMatrix, modelViewMatrix, userRotX * Math.PI / 180);
-    mat4.rotateY(modelViewMatrix, modelViewMatrix, userRotY * Math.PI / 180);
-    mat4.rotateZ(modelViewMatrix, modelViewMatrix, userRotZ * Math.PI / 180);
-    mat4.scale(modelViewMatrix, modelViewMatrix, [userScale, userScale, userScale]);
-
-    // Apply object-specific transformations
-    mat4.translate(modelViewMatrix, modelViewMatrix, [translateX, translateY, translateZ]);
-    mat4.rotateX(modelViewMatrix, modelViewMatrix, rotateX);
-    mat4.rotateY(modelViewMatrix, modelViewMatrix, rotateY);
-    mat4.rotateZ(modelViewMatrix, modelViewMatrix, rotateZ);
-    mat4.scale(modelViewMatrix, modelViewMatrix, [scaleVal, scaleVal, scaleVal]);
-
-    return modelViewMatrix;
-}
-
-function modifyModelViewMatrix(modelViewMatrix, translateX, translateY, translateZ, rotateX, rotateY, rotateZ, scaleVal) {
-    // Apply object-specific transformations
-    mat4.translate(modelViewMatrix, modelViewMatrix, [translateX, translateY, translateZ]);
-    mat4.rotateX(modelViewMatrix, modelViewMatrix, rotateX);
-    mat4.rotateY(modelViewMatrix, modelViewMatrix, rotateY);
-    mat4.rotateZ(modelViewMatrix, modelViewMatrix, rotateZ);
-    mat4.scale(modelViewMatrix, modelViewMatrix, [scaleVal, scaleVal, scaleVal]);
-
-    return modelViewMatrix;
-}
-
-// Draw object
-function drawObject(buffer, modelViewMatrix, projectionMatrix) {
-    // Position
-    {
-        const numComponents = 3;
-        const type = gl.FLOAT;
-        const normalize = false;
-        const stride = 0;
-        const offset = 0;
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffer.position);
-        gl.vertexAttribPointer(
-            programInfo.attribLocations.vertexPosition,
-            numComponents,
-            type,
-            normalize,
-            stride,
-            offset
-        );
-        gl.enableVertexAttribArray(programInfo.attribLocations.vertexPosition);
-    }
-
-    // Color
-    {
-        const numComponents = 4;
-        const type = gl.FLOAT;
-        const normalize = false;
-        const stride = 0;
-        const offset = 0;
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffer.color);
-        gl.vertexAttribPointer(
-            programInfo.attribLocations.vertexColor,
-            numComponents,
-            type,
-            normalize,
-            stride,
-            offset
-        );
-        gl.enableVertexAttribArray(programInfo.attribLocations.vertexColor);
-    }
-
-    // Indices
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer.indices);
-
-    // Set uniforms
-    gl.useProgram(programInfo.program);
-    gl.uniformMatrix4fv(
-        programInfo.uniformLocations.projectionMatrix,
-        false,
-        projectionMatrix
-    );
-    gl.uniformMatrix4fv(
-        programInfo.uniformLocations.modelViewMatrix,
-        false,
-        modelViewMatrix
-    );
-
-    // Draw
-    {
-        const vertexCount = buffer.vertexCount;
-        const type = gl.UNSIGNED_SHORT;
-        const offset = 0;
-        gl.drawElements(gl.TRIANGLES, vertexCount, type, offset);
-    }
-}
-
-// Draw scene
-function drawScene() {
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-
-    const projectionMatrix = createProjectionMatrix();
-
-    if (animationEnabled) {
-        animationTime += 0.01;
-    }
-
-    // Draw rotating cube (animated)
-    const cubeMatrix = createModelViewMatrix(
-        -2.0, 1.0, 0.0,
-        animationTime, animationTime * 0.7, 0,
-        0.8
-    );
-    drawObject(buffers.cube, cubeMatrix, projectionMatrix);
-
-	// Draw rotating crank (animated)
-    const crankMatrix = modifyModelViewMatrix(
-        cubeMatrix,
-		0.0, 0.0, 0.0,
-        animationTime * 5.0, animationTime * 0.0, animationTime * 0.0,
-        1.0
-    );
-    drawObject(buffers.crank, crankMatrix, projectionMatrix);
-	
-	// Draw opening panel (animated) // NOT FUNCTIONAL //
-    const panelMatrix = createModelViewMatrix(
-        -2.0, 1.0, 0.0,
-        animationTime, animationTime * 0.7, 0,
-        0.8
-    );
-    drawObject(buffers.panel, panelMatrix, projectionMatrix);
-
-    // Draw pyramid (static)
-    const pyramidMatrix = createModelViewMatrix(
-        2.0, 1.0, 0.0,
-        0, 0, 0,
-        0.8
-    );
-    drawObject(buffers.pyramid, pyramidMatrix, projectionMatrix);
-
-    // Draw octahedron (animated - orbiting)
-    const orbitRadius = 1.5;
-    const octahedronMatrix = createModelViewMatrix(
-        Math.cos(animationTime) * orbitRadius,
-        -1.5,
-        Math.sin(animationTime) * orbitRadius,
-        animationTime * 2, 0, animationTime,
-        0.6
-    );
-    drawObject(buffers.octahedron, octahedronMatrix, projectionMatrix);
-
-    // Draw star (animated - pulsing)
-    const pulseScale = 0.8 + Math.sin(animationTime * 2) * 0.2;
-    const starMatrix = createModelViewMatrix(
-        0, -1.5, 0,
-        0, 0, animationTime * 0.5,
-        pulseScale
-    );
-    drawObject(buffers.star, starMatrix, projectionMatrix);
-
-    requestAnimationFrame(drawScene);
-}
-
-// Matrix library (mat4)
-const mat4 = {
-    create: function() {
-        return new Float32Array([
-            1, 0, 0, 0,
-            0, 1, 0, 0,
-            0, 0, 1, 0,
-            0, 0, 0, 1
-        ]);
-    },
-
-    perspective: function(out, fovy, aspect, near, far) {
-        const f = 1.0 / Math.tan(fovy / 2);
-        const nf = 1 / (near - far);
-
-        out[0] = f / aspect;
-        out[1] = 0;
-        out[2] = 0;
-        out[3] = 0;
-        out[4] = 0;
-        out[5] = f;
-        out[6] = 0;
-        out[7] = 0;
-        out[8] = 0;
-        out[9] = 0;
-        out[10] = (far + near) * nf;
-        out[11] = -1;
-        out[12] = 0;
-        out[13] = 0;
-        out[14] = 2 * far * near * nf;
-        out[15] = 0;
-        return out;
-    },
-
-    translate: function(out, a, v) {
-        const x = v[0], y = v[1], z = v[2];
-
-        out[12] = a[0] * x + a[4] * y + a[8] * z + a[12];
-        out[13] = a[1] * x + a[5] * y + a[9] * z + a[13];
-        out[14] = a[2] * x + a[6] * y + a[10] * z + a[14];
-        out[15] = a[3] * x + a[7] * y + a[11] * z + a[15];
-
-        if (a !== out) {
-            out[0] = a[0];
-            out[1] = a[1];
-            out[2] = a[2];
-            out[3] = a[3];
-            out[4] = a[4];
-            out[5] = a[5];
-            out[6] = a[6];
-            out[7] = a[7];
-            out[8] = a[8];
-            out[9] = a[9];
-            out[10] = a[10];
-            out[11] = a[11];
-        }
-
-        return out;
-    },
-
-    rotateX: function(out, a, rad) {
-        const s = Math.sin(rad);
-        const c = Math.cos(rad);
-        const a10 = a[4];
-        const a11 = a[5];
-        const a12 = a[6];
-        const a13 = a[7];
-        const a20 = a[8];
-        const a21 = a[9];
-        const a22 = a[10];
-        const a23 = a[11];
-
-        if (a !== out) {
-            out[0] = a[0];
-            out[1] = a[1];
-            out[2] = a[2];
-            out[3] = a[3];
-            out[12] = a[12];
-            out[13] = a[13];
-            out[14] = a[14];
-            out[15] = a[15];
-        }
-
-        out[4] = a10 * c + a20 * s;
-        out[5] = a11 * c + a21 * s;
-        out[6] = a12 * c + a22 * s;
-        out[7] = a13 * c + a23 * s;
-        out[8] = a20 * c - a10 * s;
-        out[9] = a21 * c - a11 * s;
-        out[10] = a22 * c - a12 * s;
-        out[11] = a23 * c - a13 * s;
-
-        return out;
-    },
-
-    rotateY: function(out, a, rad) {
-        const s = Math.sin(rad);
-        const c = Math.cos(rad);
-        const a00 = a[0];
-        const a01 = a[1];
-        const a02 = a[2];
-        const a03 = a[3];
-        const a20 = a[8];
-        const a21 = a[9];
-        const a22 = a[10];
-        const a23 = a[11];
-
-        if (a !== out) {
-            out[4] = a[4];
-            out[5] = a[5];
-            out[6] = a[6];
-            out[7] = a[7];
-            out[12] = a[12];
-            out[13] = a[13];
-            out[14] = a[14];
-            out[15] = a[15];
-        }
-
-        out[0] = a00 * c - a20 * s;
-        out[1] = a01 * c - a21 * s;
-        out[2] = a02 * c - a22 * s;
-        out[3] = a03 * c - a23 * s;
-        out[8] = a00 * s + a20 * c;
-        out[9] = a01 * s + a21 * c;
-        out[10] = a02 * s + a22 * c;
-        out[11] = a03 * s + a23 * c;
-
-        return out;
-    },
-
-    rotateZ: function(out, a, rad) {
-        const s = Math.sin(rad);
-        const c = Math.cos(rad);
-        const a00 = a[0];
-        const a01 = a[1];
-        const a02 = a[2];
-        const a03 = a[3];
-        const a10 = a[4];
-        const a11 = a[5];
-        const a12 = a[6];
-        const a13 = a[7];
-
-        if (a !== out) {
-            out[8] = a[8];
-            out[9] = a[9];
-            out[10] = a[10];
-            out[11] = a[11];
-            out[12] = a[12];
-            out[13] = a[13];
-            out[14] = a[14];
-            out[15] = a[15];
-        }
-
-        out[0] = a00 * c + a10 * s;
-        out[1] = a01 * c + a11 * s;
-        out[2] = a02 * c + a12 * s;
-        out[3] = a03 * c + a13 * s;
-        out[4] = a10 * c - a00 * s;
-        out[5] = a11 * c - a01 * s;
-        out[6] = a12 * c - a02 * s;
-        out[7] = a13 * c - a03 * s;
-
-        return out;
-    },
-
-    scale: function(out, a, v) {
-        const x = v[0], y = v[1], z = v[2];
-
-        out[0] = a[0] * x;
-        out[1] = a[1] * x;
-        out[2] = a[2] * x;
-        out[3] = a[3] * x;
-        out[4] = a[4] * y;
-        out[5] = a[5] * y;
-        out[6] = a[6] * y;
-        out[7] = a[7] * y;
-        out[8] = a[8] * z;
-        out[9] = a[9] * z;
-        out[10] = a[10] * z;
-        out[11] = a[11] * z;
-
-        if (a !== out) {
-            out[12] = a[12];
-            out[13] = a[13];
-            out[14] = a[14];
-            out[15] = a[15];
-        }
-
-        return out;
-    }
-};
-
-// Start the application
-window.onload = initWebGL;
+// Global variables
+let gl;
+let webgl2 = false;
+let capabilities;
+let shaderCache;
+let scene;
+let sceneRoot;
+let clock = createClock();
+let timeline = createTimeline();
+let useBlinnPhong = true;
+let useTextures = true;
+let useFrustumCulling = true;
+let showPerformanceHud = false;
+let frameStats;
+let textureManager;
+let shadowMaps = [];
+let postProcessor;
+let viewport;
+let animationFrame = null;
+let instanceBuffer;
+
+// Every mesh with buffers on the GPU, so they can be uploaded again if the
+// context is lost
+const liveMeshes = new Set();
+
+// The camera's view frustum, refilled every frame for culling
+const cameraFrustum = createFrustum();
+
+// Background the scene is drawn over
+const CLEAR_COLOR = [1.0, 1.0, 1.0, 1.0];
+
+// Most vertices a mesh can have with 16-bit indices. Larger meshes need
+// 32-bit indices, which not every WebGL1 context has.
+const MAX_MESH_VERTICES = 65536;
+
+// Scene loaded at startup
+const DEFAULT_SCENE_URL = 'scenes/default.json';
+
+// Jack in the box: the lid pops open on the last turn of every cycle
+const JACK_CYCLE_TURNS = 4;
+const JACK_POP_TURN = 3;
+const JACK_LID_OPEN_ANGLE = 110 * Math.PI / 180;
+const JACK_HIDDEN_HEIGHT = -0.45;
+const JACK_POPPED_HEIGHT = 0.35;
+
+// Camera (driven by the sliders, mouse, wheel and touch)
+let camera;
+let cameraControls;
+
+// Grid, axes and bounding box helpers
+let helpers;
+
+// Picking and the transform gizmo
+let selectedNode = null;
+let gizmo;
+let gizmoControls;
+const SELECTION_HIGHLIGHT = [1.0, 0.6, 0.0, 0.35];
+const NO_HIGHLIGHT = [0.0, 0.0, 0.0, 0.0];
+const NODE_COLOR_WHITE = [1.0, 1.0, 1.0, 1.0];
+
+// Lighting panel inputs for the scene's named lights: light name, then
+// intensity, color and shadow toggle input ids
+const LIGHT_CONTROLS = [
+    ['key', 'keyIntensity', 'keyColor', 'keyShadows'],
+    ['fill', 'fillIntensity', 'fillColor', 'fillShadows'],
+];
+
+// Selection panel inputs, one per transform component
+const SELECTION_FIELDS = [];
+['translation', 'rotation', 'scale'].forEach((property) => {
+    ['X', 'Y', 'Z'].forEach((axisName, axis) => {
+        const isRotation = property === 'rotation';
+        SELECTION_FIELDS.push({
+            id: 'sel' + property[0].toUpperCase() + axisName,
+            property: property,
+            axis: axis,
+            // Rotations are edited in degrees but stored in radians
+            toNode: isRotation ? (v) => v * Math.PI / 180 : (v) => v,
+            fromNode: isRotation ? (v) => v * 180 / Math.PI : (v) => v,
+        });
+    });
+});
+
+// Initialize WebGL
+function initWebGL() {
+    const canvas = document.getElementById('glCanvas');
+    // The browser may say why it couldn't create a context
+    let creationError = '';
+    canvas.addEventListener('webglcontextcreationerror', (e) => {
+        creationError = e.statusMessage || '';
+    });
+    const context = createWebGLContext(canvas);
+    gl = context.gl;
+    webgl2 = context.webgl2;
+
+    if (!gl) {
+        showErrorOverlay('WebGL is not available', WEBGL_UNAVAILABLE_MESSAGE, { log: creationError });
+        return;
+    }
+
+    viewport = createViewport(canvas, { container: document.getElementById('viewport') });
+    resizeViewport(viewport);
+
+    try {
+        initGPUResources();
+        textureManager = createTextureManager(gl);
+    } catch (error) {
+        showErrorReport('Unable to start WebGL', error);
+        return;
+    }
+
+    gizmo = createGizmo();
+    helpers = createHelpers();
+    camera = createOrbitCamera({ distance: 8.0 });
+    setupControls();
+    setupContextLossHandling(canvas);
+
+    loadScene(() => loadSceneFile(DEFAULT_SCENE_URL))
+        .catch((error) => {
+            showErrorOverlay('Unable to load ' + DEFAULT_SCENE_URL, error.message +
+                '. Serve this folder over HTTP (for example `python3 -m http.server`) so the scene file can be fetched.');
+        });
+}
+
+// GL state, shaders, shadow maps and post-processing targets: everything on
+// the GPU that isn't a mesh or a texture. Run at startup and again when a
+// lost context is restored.
+function initGPUResources() {
+    gl.clearColor(...CLEAR_COLOR);
+    gl.clearDepth(1.0);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+    gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+
+    capabilities = detectCapabilities(gl, webgl2);
+    document.getElementById('rendererInfo').textContent = describeCapabilities(capabilities);
+    frameStats = createFrameStats(gl, capabilities.timerQuery);
+
+    // Build every shader up front so a broken one shows at startup
+    shaderCache = createShaderCache(gl, capabilities);
+    Object.keys(SHADER_LIBRARY).forEach((name) => getShader(shaderCache, name));
+    shadowMaps = [];
+    for (let i = 0; i < MAX_SHADOW_MAPS; i++) {
+        shadowMaps.push(createShadowMap(gl));
+        trackBuffer(frameStats, shadowMaps[i], shadowMapBytes(shadowMaps[i]));
+    }
+    postProcessor = createPostProcessor(gl, shaderCache, postProcessor ? postProcessor.passes : null);
+    instanceBuffer = createInstanceBuffer(gl);
+}
+
+// Stop drawing when the context is lost, and when the browser gives it back
+// rebuild everything on the GPU from what's kept on the CPU and carry on
+function setupContextLossHandling(canvas) {
+    canvas.addEventListener('webglcontextlost', (e) => {
+        // Without this the browser never restores the context
+        e.preventDefault();
+        cancelAnimationFrame(animationFrame);
+        animationFrame = null;
+        showErrorOverlay('WebGL context lost',
+            'The graphics driver was reset or the browser needed the GPU back. Waiting for it to be restored...');
+    });
+
+    canvas.addEventListener('webglcontextrestored', () => {
+        try {
+            initGPUResources();
+            liveMeshes.forEach(uploadMesh);
+        } catch (error) {
+            showErrorReport('Unable to restore WebGL', error);
+            return;
+        }
+        hideErrorOverlay();
+        restoreTextures(textureManager).catch((error) => {
+            showErrorReport('Unable to restore textures', error, true);
+        });
+        if (sceneRoot) {
+            drawScene();
+        }
+    });
+}
+
+// Swap in a scene built by `build`, an async function resolving to a scene
+async function loadScene(build) {
+    const loaded = await build();
+
+    if (scene) {
+        disposeScene(scene);
+    }
+    scene = loaded;
+    sceneRoot = scene.root;
+    selectNode(null);
+
+    timeline = createTimeline({
+        duration: scene.timeline.duration || keyframeTracksDuration(scene.animations) || undefined,
+        loop: scene.timeline.loop,
+        speed: scene.timeline.speed,
+    });
+    syncTimelineControls();
+
+    updateWorldMatrices(sceneRoot, null);
+    placeHelperGrid(helpers, sceneRoot);
+
+    applySceneCamera(camera, scene.camera);
+    syncCameraControls();
+    if (scene.lights) {
+        applySceneLights(scene.lights);
+    }
+    syncLightControls();
+
+    // The first scene to load starts drawing, whether it's the default one
+    // or, if that couldn't be fetched, one picked from disk
+    if (animationFrame === null && !gl.isContextLost()) {
+        animationFrame = requestAnimationFrame(drawScene);
+    }
+}
+
+// Built-in meshes that scene files can name as a "primitive". The other
+// fields of the scene file's mesh entry are passed on as the generator's
+// parameters, and "color" paints the generic shapes.
+const PRIMITIVE_MESHES = {
+    jackBox: (options) => initCubeBuffer(options),
+    crank: () => initCrankBuffer(),
+    lid: () => initPanelBuffer(),
+    jack: () => initJackBuffer(),
+    pyramid: (options) => initPyramidBuffer(options),
+    octahedron: (options) => initOctahedronBuffer(options),
+    star: (options) => initStarBuffer(options),
+    cube: (options) => initPrimitiveBuffer(createCubeGeometry, options),
+    sphere: (options) => initPrimitiveBuffer(createUVSphereGeometry, options),
+    icosphere: (options) => initPrimitiveBuffer(createIcosphereGeometry, options),
+    cylinder: (options) => initPrimitiveBuffer(createCylinderGeometry, options),
+    cone: (options) => initPrimitiveBuffer(createConeGeometry, options),
+    torus: (options) => initPrimitiveBuffer(createTorusGeometry, options),
+    capsule: (options) => initPrimitiveBuffer(createCapsuleGeometry, options),
+    plane: (options) => initPrimitiveBuffer(createPlaneGeometry, options),
+};
+
+const PRIMITIVE_COLOR = [0.8, 0.8, 0.8, 1.0];
+
+// Color for a vertex on an axis-aligned face, looked up by which way the
+// face points: { right, left, top, bottom, front, back }
+function faceColor(normal, colors) {
+    const axis = [0, 1, 2].reduce((best, i) => (Math.abs(normal[i]) > Math.abs(normal[best]) ? i : best), 0);
+    const names = [['right', 'left'], ['top', 'bottom'], ['front', 'back']][axis];
+    return colors[normal[axis] > 0 ? names[0] : names[1]];
+}
+
+// Create a mesh from any generator, in one color
+function initPrimitiveBuffer(generate, options = {}) {
+    return createGeometryMesh(paintGeometry(generate(options), options.color || PRIMITIVE_COLOR));
+}
+
+// Create cube buffer: the jack-in-the-box, open at the top for the lid.
+// A "color" paints it all one color, say to show off a texture.
+function initCubeBuffer(options = {}) {
+    const box = createCubeGeometry({ size: 1, opening: 0.6 });
+    paintGeometry(box, options.color || ((position, normal) => faceColor(normal, {
+        front: [1.0, 0.0, 0.0, 1.0],  // Red
+        back: [0.0, 1.0, 0.0, 1.0],   // Green
+        bottom: [1.0, 1.0, 0.0, 1.0], // Yellow
+        right: [1.0, 0.0, 1.0, 1.0],  // Magenta
+        left: [0.0, 1.0, 1.0, 1.0],   // Cyan
+        top: [0.0, 0.0, 1.0, 1.0],    // Blue
+    })));
+    return createGeometryMesh(box);
+}
+
+// Create crank buffer: axle out of the box's right side, handle and knob
+function initCrankBuffer() {
+    const part = (size, center, color) =>
+        paintGeometry(translateGeometry(createBoxGeometry({ width: size[0], height: size[1], depth: size[2] }), center), color);
+
+    return createGeometryMesh(mergeGeometries([
+        part([0.15, 0.12, 0.12], [0.575, 0.0, 0.0], [0.4, 0.4, 0.4, 1.0]),   // Axle - Gray
+        part([0.05, 0.24, 0.52], [0.675, 0.0, 0.14], [0.5, 0.5, 0.5, 1.0]),  // Handle - Gray
+        part([0.15, 0.12, 0.12], [0.775, 0.0, 0.28], [0.75, 0.0, 0.0, 1.0]), // Knob - Red
+    ]));
+}
+
+// Create panel buffer: the lid, level with the top of the box
+function initPanelBuffer() {
+    const panel = translateGeometry(createPlaneGeometry({ width: 0.6, depth: 0.6 }), [0.0, 0.5, 0.0]);
+    return createGeometryMesh(paintGeometry(panel, [0.0, 0.0, 1.0, 1.0]));
+}
+
+// Create jack figure buffer (spring body with a head on top)
+function initJackBuffer() {
+    const body = translateGeometry(createBoxGeometry({ width: 0.16, height: 0.6, depth: 0.16 }), [0.0, 0.3, 0.0]);
+    paintGeometry(body, (position, normal) => (Math.abs(normal[2]) > 0.5 ?
+        [0.1, 0.6, 0.1, 1.0] :  // Green
+        [0.1, 0.5, 0.1, 1.0])); // Darker green sides
+
+    const head = translateGeometry(createCubeGeometry({ size: 0.3 }), [0.0, 0.75, 0.0]);
+    paintGeometry(head, (position, normal) => faceColor(normal, {
+        front: [1.0, 0.8, 0.6, 1.0], // Face
+        top: [0.9, 0.0, 0.0, 1.0],   // Hat - Red
+        back: [1.0, 0.7, 0.5, 1.0],
+        bottom: [1.0, 0.7, 0.5, 1.0],
+        right: [1.0, 0.7, 0.5, 1.0],
+        left: [1.0, 0.7, 0.5, 1.0],
+    }));
+
+    return createGeometryMesh(mergeGeometries([body, head]));
+}
+
+// Create pyramid buffer: yellow at the base shading to orange at the tip
+function initPyramidBuffer(options = {}) {
+    const pyramid = createPyramidGeometry(options);
+    paintGeometry(pyramid, (position) => (position[1] > 0 ?
+        [1.0, 0.5, 0.0, 1.0] :  // Orange
+        [1.0, 1.0, 0.0, 1.0])); // Yellow
+    return createGeometryMesh(pyramid);
+}
+
+// Create octahedron buffer: cyan with a magenta bottom tip
+function initOctahedronBuffer(options = {}) {
+    const octahedron = createOctahedronGeometry(Object.assign({ width: 0.8, height: 1.2 }, options));
+    paintGeometry(octahedron, (position) => (position[1] < 0 && position[0] === 0 && position[2] === 0 ?
+        [1.0, 0.0, 1.0, 1.0] :  // Magenta
+        [0.0, 1.0, 1.0, 1.0])); // Cyan
+    return createGeometryMesh(octahedron);
+}
+
+// Create star buffer: white center, gold points, light yellow between them
+function initStarBuffer(options = {}) {
+    const star = createStarGeometry(options);
+    const outerRadius = options.outerRadius !== undefined ? options.outerRadius : 0.5;
+    const innerRadius = options.innerRadius !== undefined ? options.innerRadius : 0.2;
+    paintGeometry(star, (position) => {
+        const radius = Math.hypot(position[0], position[1]);
+        if (radius < innerRadius / 2) {
+            return [1.0, 1.0, 1.0, 1.0]; // White center
+        }
+        return radius > (innerRadius + outerRadius) / 2 ?
+            [1.0, 0.8, 0.0, 1.0] :  // Gold for outer points
+            [1.0, 1.0, 0.5, 1.0];   // Light yellow for inner points
+    });
+    return createGeometryMesh(star);
+}
+
+// Upload a painted geometry (see geometry.js) as a mesh
+function createGeometryMesh(geometry) {
+    return createMesh(geometry.positions, geometry.colors, geometry.indices, {
+        normals: geometry.normals,
+        uvs: geometry.uvs,
+    });
+}
+
+// Helper function to build a mesh. Normals are generated unless given in
+// `options.normals`; `options.uvs` holds texture coordinates, which are
+// all zero when there are none. The source arrays are kept in `data` for
+// work done on the CPU, like picking, and to upload again if the context
+// is lost, and the mesh's bounds (see culling.js) are worked out from them.
+function createMesh(positions, colors, indices, options = {}) {
+    const vertexCount = positions.length / 3;
+    const normals = options.normals || computeVertexNormals(positions, indices);
+    const uvs = options.uvs || new Array(vertexCount * 2).fill(0);
+
+    return uploadMesh({
+        vertexCount: indices.length,
+        bounds: computeBounds(positions),
+        data: {
+            positions: positions,
+            colors: colors,
+            normals: normals,
+            uvs: uvs,
+            indices: indices,
+        },
+    });
+}
+
+// Create a mesh's GPU buffers from its `data`. Line meshes have no normals
+// or texture coordinates. Also used to upload them again after the context
+// is lost.
+function uploadMesh(mesh) {
+    const data = mesh.data;
+    mesh.indexType = meshIndexType(data.positions.length / 3);
+    mesh.position = createBuffer(data.positions);
+    mesh.color = createBuffer(data.colors);
+    if (data.normals) {
+        mesh.normal = createBuffer(data.normals);
+        mesh.uv = createBuffer(data.uvs);
+    }
+    mesh.indices = createIndexBuffer(data.indices, mesh.indexType);
+    // Built again when next drawn as a wireframe, or with vertex arrays
+    mesh.edges = null;
+    mesh.vertexArrays = {};
+    liveMeshes.add(mesh);
+    return mesh;
+}
+
+// Index type for a mesh with this many vertices: 16-bit while they fit,
+// 32-bit past that where the context has them
+function meshIndexType(vertexCount) {
+    if (vertexCount <= MAX_MESH_VERTICES) {
+        return gl.UNSIGNED_SHORT;
+    }
+    if (!capabilities.uint32Indices) {
+        throw new Error('Mesh has ' + vertexCount + ' vertices; at most ' + MAX_MESH_VERTICES +
+            ' are supported without 32-bit indices');
+    }
+    return gl.UNSIGNED_INT;
+}
+
+// Free a mesh's GPU buffers and vertex arrays
+function deleteMesh(mesh) {
+    ['position', 'color', 'normal', 'uv', 'indices', 'edges'].forEach((key) => {
+        if (mesh[key]) {
+            gl.deleteBuffer(mesh[key]);
+            untrackBuffer(frameStats, mesh[key]);
+        }
+    });
+    Object.values(mesh.vertexArrays).forEach((vertexArray) => {
+        if (shaderCache.vertexArray === vertexArray) {
+            bindVertexArray(shaderCache, null);
+        }
+        shaderCache.vertexArrays.remove(vertexArray);
+    });
+    liveMeshes.delete(mesh);
+}
+
+// Helper function to build a line mesh, two vertices per segment
+function createLineMesh(positions, colors) {
+    const indices = [];
+    for (let i = 0; i < positions.length / 3; i++) {
+        indices.push(i);
+    }
+
+    return uploadMesh({
+        vertexCount: indices.length,
+        data: {
+            positions: positions,
+            colors: colors,
+            indices: indices,
+        },
+    });
+}
+
+// Per-vertex normals: the area-weighted average of the normals of every
+// triangle that uses the vertex. Shapes that want hard edges (like the
+// cube) already give each face its own vertices, so they stay flat.
+function computeVertexNormals(positions, indices) {
+    const normals = new Array(positions.length).fill(0);
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i] * 3;
+        const b = indices[i + 1] * 3;
+        const c = indices[i + 2] * 3;
+
+        const abx = positions[b] - positions[a];
+        const aby = positions[b + 1] - positions[a + 1];
+        const abz = positions[b + 2] - positions[a + 2];
+        const acx = positions[c] - positions[a];
+        const acy = positions[c + 1] - positions[a + 1];
+        const acz = positions[c + 2] - positions[a + 2];
+
+        // Cross product length is twice the triangle area
+        const nx = aby * acz - abz * acy;
+        const ny = abz * acx - abx * acz;
+        const nz = abx * acy - aby * acx;
+
+        [a, b, c].forEach((v) => {
+            normals[v] += nx;
+            normals[v + 1] += ny;
+            normals[v + 2] += nz;
+        });
+    }
+
+    for (let i = 0; i < normals.length; i += 3) {
+        const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]);
+        if (length > 0) {
+            normals[i] /= length;
+            normals[i + 1] /= length;
+            normals[i + 2] /= length;
+        } else {
+            normals[i + 1] = 1;
+        }
+    }
+
+    return normals;
+}
+
+// Helper function to create buffer
+function createBuffer(data) {
+    const buffer = gl.createBuffer();
+    const array = new Float32Array(data);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, array, gl.STATIC_DRAW);
+    trackBuffer(frameStats, buffer, array.byteLength);
+    return buffer;
+}
+
+// Helper function to create index buffer of `type` (see meshIndexType).
+// The index buffer binding belongs to the vertex array, so it's uploaded
+// with the default one bound.
+function createIndexBuffer(data, type = gl.UNSIGNED_SHORT) {
+    const buffer = gl.createBuffer();
+    if (shaderCache.vertexArrays) {
+        bindVertexArray(shaderCache, null);
+    }
+    const array = type === gl.UNSIGNED_INT ? new Uint32Array(data) : new Uint16Array(data);
+    bindIndexBuffer(shaderCache, buffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, array, gl.STATIC_DRAW);
+    trackBuffer(frameStats, buffer, array.byteLength);
+    return buffer;
+}
+
+// Setup UI controls
+function setupControls() {
+    const rotX = document.getElementById('rotX');
+    const rotY = document.getElementById('rotY');
+    const rotZ = document.getElementById('rotZ');
+    const transX = document.getElementById('transX');
+    const transY = document.getElementById('transY');
+    const resetBtn = document.getElementById('resetView');
+
+    rotX.addEventListener('input', (e) => {
+        camera.pitch = toRadians(parseFloat(e.target.value));
+        syncCameraControls();
+    });
+
+    rotY.addEventListener('input', (e) => {
+        camera.yaw = toRadians(parseFloat(e.target.value));
+        syncCameraControls();
+    });
+
+    rotZ.addEventListener('input', (e) => {
+        camera.roll = toRadians(parseFloat(e.target.value));
+        syncCameraControls();
+    });
+
+    transX.addEventListener('input', (e) => {
+        camera.pan[0] = parseFloat(e.target.value);
+        syncCameraControls();
+    });
+
+    transY.addEventListener('input', (e) => {
+        camera.pan[1] = parseFloat(e.target.value);
+        syncCameraControls();
+    });
+
+    // The gizmo gets first look at presses so grabbing a handle doesn't
+    // also orbit the camera
+    gizmoControls = attachGizmoControls(gl.canvas, gizmo, () => ({
+        node: selectedNode,
+        viewMatrix: getViewMatrix(camera),
+        projectionMatrix: createProjectionMatrix(),
+    }));
+
+    // Mouse, wheel and touch move the same camera as the sliders
+    cameraControls = attachCameraControls(gl.canvas, camera, syncCameraControls);
+
+    // Lighting
+    document.getElementById('ambient').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        setAmbientLight(ambientLight.color, value);
+        document.getElementById('ambientValue').textContent = value.toFixed(2);
+    });
+
+    LIGHT_CONTROLS.forEach(([name, intensityId, colorId, shadowsId]) => {
+        document.getElementById(intensityId).addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            const light = findLight(name);
+            if (light) {
+                setLightIntensity(light, value);
+            }
+            document.getElementById(intensityId + 'Value').textContent = value.toFixed(2);
+        });
+        document.getElementById(colorId).addEventListener('input', (e) => {
+            const light = findLight(name);
+            if (light) {
+                setLightColor(light, hexToColor(e.target.value));
+            }
+        });
+        document.getElementById(shadowsId).addEventListener('change', (e) => {
+            const light = findLight(name);
+            if (light) {
+                light.castShadows = e.target.checked;
+            }
+        });
+    });
+
+    document.getElementById('blinnPhong').addEventListener('change', (e) => {
+        useBlinnPhong = e.target.checked;
+    });
+
+    document.getElementById('useTextures').addEventListener('change', (e) => {
+        useTextures = e.target.checked;
+    });
+
+    document.getElementById('frustumCulling').addEventListener('change', (e) => {
+        useFrustumCulling = e.target.checked;
+    });
+
+    document.getElementById('showPerformanceHud').addEventListener('change', (e) => {
+        showPerformanceHud = e.target.checked;
+        const hud = document.getElementById('performanceHud');
+        hud.hidden = !showPerformanceHud;
+        updatePerformanceHud(frameStats, hud);
+    });
+
+    resetBtn.addEventListener('click', () => {
+        resetCamera(camera);
+        syncCameraControls();
+    });
+
+    setupTimelineControls();
+    setupSelectionControls();
+    setupSceneFileControls();
+    setupImportControls();
+    setupExportControls();
+    setupHelperControls();
+    setupPostProcessingControls();
+    setupFullscreenControls();
+}
+
+// Fullscreen button and F key. The button stays over the canvas in
+// fullscreen so there's a way back besides Escape.
+function setupFullscreenControls() {
+    const button = document.getElementById('fullscreen');
+    const toggle = () => {
+        toggleFullscreen(viewport).catch((error) => {
+            showErrorReport('Unable to switch fullscreen', error, true);
+        });
+    };
+
+    button.addEventListener('click', toggle);
+    window.addEventListener('keydown', (e) => {
+        if (e.key.toLowerCase() === 'f' && !(document.activeElement && document.activeElement.tagName === 'INPUT')) {
+            toggle();
+        }
+    });
+    document.addEventListener('fullscreenchange', () => {
+        button.textContent = isFullscreen(viewport) ? 'Exit Fullscreen' : 'Fullscreen';
+    });
+}
+
+// Model files that can be imported, by extension. Each importer gets the
+// main file plus a lookup for the other files picked or dropped with it,
+// and resolves to { mesh, material } for a new node, or to a loaded glTF
+// asset ({ root, meshes, clips }) for a node holding a whole hierarchy.
+const MODEL_IMPORTERS = {
+    obj: async (file, findFile) => {
+        const obj = await loadOBJ(await file.text(), async (name) => {
+            const mtl = findFile(name);
+            return mtl ? mtl.text() : null;
+        });
+        const mtl = obj.materials[0];
+        return {
+            mesh: createObjMesh(obj),
+            material: mtl ? { name: mtl.name, shader: 'lit', specular: mtl.specular, shininess: mtl.shininess } : null,
+        };
+    },
+    gltf: (file, findFile) => importGLTFFile(file, findFile, false),
+    glb: (file, findFile) => importGLTFFile(file, findFile, true),
+};
+
+async function importGLTFFile(file, findFile, isBinary) {
+    return loadGLTFData(await file.arrayBuffer(), isBinary, async (name) => {
+        const buffer = findFile(name);
+        if (!buffer) {
+            throw new Error('Missing ' + name + '; pick or drop it together with ' + file.name);
+        }
+        return buffer.arrayBuffer();
+    });
+}
+
+// Import models from a file input or a drop onto the canvas
+function setupImportControls() {
+    const input = document.getElementById('modelFile');
+    document.getElementById('importModel').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        const files = Array.from(input.files);
+        input.value = '';
+        importModelFiles(files);
+    });
+
+    gl.canvas.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    gl.canvas.addEventListener('drop', (e) => {
+        e.preventDefault();
+        importModelFiles(Array.from(e.dataTransfer.files));
+    });
+}
+
+// Add every model among `files` to the scene; the rest (like .mtl and
+// .bin files) are there for the models to refer to
+async function importModelFiles(files) {
+    const findFile = (name) => {
+        const base = name.split(/[\\/]/).pop().toLowerCase();
+        return files.find((file) => file.name.toLowerCase() === base) || null;
+    };
+
+    for (const file of files) {
+        const importer = MODEL_IMPORTERS[fileExtension(file.name)];
+        if (!importer) {
+            continue;
+        }
+        try {
+            const model = await importer(file, findFile);
+            addImportedModel(file.name, model);
+        } catch (error) {
+            showErrorReport('Unable to import ' + file.name, error, true);
+        }
+    }
+}
+
+// Put an imported model into the scene, scaled to fit in a 2 unit box at
+// the origin, and select it
+function addImportedModel(fileName, model) {
+    // Names are shared with the glTF model nodes, which have no mesh entry
+    const taken = Object.assign({}, scene.meshes);
+    scene.models.forEach((sceneModel) => {
+        taken[sceneModel.node.name] = true;
+    });
+    const id = uniqueKey(taken, fileName.replace(/\.[^.]*$/, ''));
+    let node;
+
+    // Saved scenes expect the model file to sit next to the scene file
+    if (model.root) {
+        node = createSceneNode(id);
+        addSceneModel(scene, node, fileName, model);
+    } else {
+        scene.meshes[id] = { source: { url: fileName }, mesh: model.mesh };
+        node = createSceneNode(id, { mesh: model.mesh });
+        node.meshId = id;
+        if (model.material) {
+            model.material.name = uniqueKey(scene.materials, model.material.name);
+            scene.materials[model.material.name] = model.material;
+            node.material = model.material;
+        }
+    }
+
+    // Bounds of every mesh in the model, in the model node's own space
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const point = vec3.create();
+    updateWorldMatrices(node, mat4.create());
+    traverseModel(node, (meshNode) => {
+        const positions = meshNode.mesh ? meshNode.mesh.data.positions : [];
+        for (let i = 0; i < positions.length; i += 3) {
+            vec3.transformMat4(point, [positions[i], positions[i + 1], positions[i + 2]], meshNode.worldMatrix);
+            vec3.min(min, min, point);
+            vec3.max(max, max, point);
+        }
+    });
+    if (min[0] === Infinity) {
+        min.fill(0);
+        max.fill(0);
+    }
+    const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+    const scale = 2 / size;
+    node.scale = [scale, scale, scale];
+    node.translation = [0, 1, 2].map((axis) => -(min[axis] + max[axis]) / 2 * scale);
+
+    addChild(sceneRoot, node);
+    selectNode(node);
+}
+
+// A key not yet used in `object`, based on `name`
+function uniqueKey(object, name) {
+    let key = name;
+    for (let i = 2; object[key]; i++) {
+        key = name + '-' + i;
+    }
+    return key;
+}
+
+// Save the live scene as JSON, or load a scene file picked from disk
+function setupSceneFileControls() {
+    document.getElementById('saveScene').addEventListener('click', () => {
+        const json = JSON.stringify(serializeScene(scene, camera, timeline), null, 4);
+        downloadFile('scene.json', new Blob([json], { type: 'application/json' }));
+    });
+
+    const input = document.getElementById('sceneFile');
+    document.getElementById('loadScene').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) {
+            return;
+        }
+        loadScene(async () => buildScene(JSON.parse(await file.text()), null))
+            .catch((error) => showErrorReport('Unable to load ' + file.name, error, true));
+    });
+}
+
+// Download the live scene as glTF, OBJ or STL
+function setupExportControls() {
+    const exporters = {
+        exportGLB: () => new Blob([exportGLB(sceneRoot)], { type: 'model/gltf-binary' }),
+        exportOBJ: () => new Blob([exportOBJ(sceneRoot)], { type: 'text/plain' }),
+        exportSTL: () => new Blob([exportSTL(sceneRoot)], { type: 'model/stl' }),
+    };
+    const extensions = { exportGLB: 'glb', exportOBJ: 'obj', exportSTL: 'stl' };
+
+    Object.keys(exporters).forEach((id) => {
+        document.getElementById(id).addEventListener('click', () => {
+            downloadFile('scene.' + extensions[id], exporters[id]());
+        });
+    });
+}
+
+// Checkboxes that show and hide the grid, axes and bounding box helpers
+function setupHelperControls() {
+    ['showGrid', 'showWorldAxes', 'showLocalAxes', 'showBounds'].forEach((id) => {
+        const checkbox = document.getElementById(id);
+        checkbox.checked = helpers[id];
+        checkbox.addEventListener('change', (e) => {
+            helpers[id] = e.target.checked;
+        });
+    });
+}
+
+// One row per post-processing pass, in chain order: a checkbox to switch it
+// on, buttons to move it up and down the chain, and its options. Rebuilt
+// whenever the order changes.
+function setupPostProcessingControls() {
+    const list = document.getElementById('postPasses');
+    list.innerHTML = '';
+
+    postProcessor.passes.forEach((pass, index) => {
+        const definition = POST_PASSES[pass.type];
+        const row = document.createElement('div');
+        row.className = 'control-group post-pass';
+
+        const header = document.createElement('div');
+        header.className = 'post-pass-header';
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = pass.enabled;
+        checkbox.addEventListener('change', (e) => {
+            pass.enabled = e.target.checked;
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + definition.label));
+        header.appendChild(label);
+
+        [['\u2191', -1, index === 0], ['\u2193', 1, index === postProcessor.passes.length - 1]]
+            .forEach(([text, offset, disabled]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small';
+                button.textContent = text;
+                button.disabled = disabled;
+                button.addEventListener('click', () => {
+                    movePostPass(postProcessor, pass, offset);
+                    setupPostProcessingControls();
+                });
+                header.appendChild(button);
+            });
+        row.appendChild(header);
+
+        Object.keys(definition.options).forEach((name) => {
+            row.appendChild(createPostOptionInput(pass, name, definition.options[name]));
+        });
+        list.appendChild(row);
+    });
+}
+
+// Slider, or color picker, for one option of a post-processing pass
+function createPostOptionInput(pass, name, option) {
+    const group = document.createElement('div');
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    const title = name[0].toUpperCase() + name.slice(1);
+    group.appendChild(label);
+    group.appendChild(input);
+
+    if (option.type === 'color') {
+        label.textContent = title;
+        input.type = 'color';
+        input.value = '#' + pass.options[name].slice(0, 3).map((c) =>
+            Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+        input.addEventListener('input', (e) => {
+            pass.options[name] = [...hexToColor(e.target.value), 1.0];
+        });
+        return group;
+    }
+
+    const value = document.createElement('span');
+    value.textContent = pass.options[name].toFixed(2);
+    label.textContent = title + ': ';
+    label.appendChild(value);
+    input.type = 'range';
+    input.min = option.min;
+    input.max = option.max;
+    input.step = option.step;
+    input.value = pass.options[name];
+    input.addEventListener('input', (e) => {
+        pass.options[name] = parseFloat(e.target.value);
+        value.textContent = pass.options[name].toFixed(2);
+    });
+    return group;
+}
+
+// Play/pause, scrubbing, looping and playback speed for the timeline
+function setupTimelineControls() {
+    const scrub = document.getElementById('timelineScrub');
+
+    document.getElementById('playPause').addEventListener('click', () => {
+        if (timeline.playing) {
+            pauseTimeline(timeline);
+        } else {
+            playTimeline(timeline);
+        }
+        syncTimelineControls();
+    });
+
+    // Dragging the slider holds the animation at that point; playback
+    // picks up from there once it's let go
+    let resumeAfterScrub = false;
+    scrub.addEventListener('pointerdown', () => {
+        resumeAfterScrub = timeline.playing;
+        pauseTimeline(timeline);
+    });
+    scrub.addEventListener('input', (e) => {
+        seekTimeline(timeline, parseFloat(e.target.value));
+        syncTimelineControls();
+    });
+    scrub.addEventListener('change', () => {
+        if (resumeAfterScrub) {
+            playTimeline(timeline);
+            resumeAfterScrub = false;
+        }
+        syncTimelineControls();
+    });
+
+    document.getElementById('timelineLoop').addEventListener('change', (e) => {
+        timeline.loop = e.target.checked;
+    });
+
+    document.getElementById('timelineSpeed').addEventListener('change', (e) => {
+        timeline.speed = parseFloat(e.target.value);
+    });
+}
+
+// Show the timeline's state on its controls
+function syncTimelineControls() {
+    const scrub = document.getElementById('timelineScrub');
+    scrub.max = timeline.duration;
+    scrub.value = timeline.time;
+    document.getElementById('timelineTime').textContent =
+        timeline.time.toFixed(2) + ' / ' + timeline.duration.toFixed(2) + ' s';
+    document.getElementById('playPause').textContent = timeline.playing ? 'Pause' : 'Play';
+    document.getElementById('timelineLoop').checked = timeline.loop;
+    document.getElementById('timelineSpeed').value = String(timeline.speed);
+}
+
+// Hand a Blob to the browser as a file download
+function downloadFile(filename, blob) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Show the key and point light settings on the lighting controls
+function syncLightControls() {
+    const toHex = (color) => '#' + color.map((c) =>
+        Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+
+    document.getElementById('ambient').value = ambientLight.intensity;
+    document.getElementById('ambientValue').textContent = ambientLight.intensity.toFixed(2);
+
+    LIGHT_CONTROLS.forEach(([name, intensityId, colorId, shadowsId]) => {
+        const light = findLight(name);
+        if (!light) {
+            return;
+        }
+        document.getElementById(intensityId).value = light.intensity;
+        document.getElementById(intensityId + 'Value').textContent = light.intensity.toFixed(2);
+        document.getElementById(colorId).value = toHex(light.color);
+        document.getElementById(shadowsId).checked = light.castShadows;
+    });
+}
+
+// Click to select an object, edit its transform in the selection panel
+function setupSelectionControls() {
+    gl.canvas.addEventListener('click', (e) => {
+        // A drag that orbited the camera or moved a gizmo handle is not a click
+        if (cameraControls.dragDistance > 3 || gizmoControls.consumedClick) {
+            return;
+        }
+        const rect = gl.canvas.getBoundingClientRect();
+        const ray = screenToRay(
+            e.clientX - rect.left,
+            e.clientY - rect.top,
+            gl.canvas,
+            createProjectionMatrix(),
+            getViewMatrix(camera)
+        );
+        const hit = pickNode(sceneRoot, ray);
+        selectNode(hit ? hit.node : null);
+    });
+
+    SELECTION_FIELDS.forEach(({ id, property, axis, toNode }) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (selectedNode && !isNaN(value)) {
+                selectedNode[property][axis] = toNode(value);
+            }
+        });
+    });
+
+    document.getElementById('selShader').addEventListener('change', (e) => {
+        if (selectedNode && selectedNode.mesh) {
+            setNodeShader(selectedNode, e.target.value);
+        }
+    });
+
+    ['castShadows', 'receiveShadows'].forEach((property) => {
+        const id = 'sel' + property[0].toUpperCase() + property.slice(1);
+        document.getElementById(id).addEventListener('change', (e) => {
+            if (selectedNode) {
+                selectedNode[property] = e.target.checked;
+            }
+        });
+    });
+
+    document.getElementById('clearSelection').addEventListener('click', () => selectNode(null));
+
+    // Gizmo mode buttons, with W/E/R as shortcuts
+    const modeButtons = {
+        translate: document.getElementById('gizmoTranslate'),
+        rotate: document.getElementById('gizmoRotate'),
+        scale: document.getElementById('gizmoScale'),
+    };
+    const setGizmoMode = (mode) => {
+        gizmo.mode = mode;
+        Object.keys(modeButtons).forEach((key) => {
+            modeButtons[key].classList.toggle('active', key === mode);
+        });
+    };
+    Object.keys(modeButtons).forEach((mode) => {
+        modeButtons[mode].addEventListener('click', () => setGizmoMode(mode));
+    });
+    window.addEventListener('keydown', (e) => {
+        const mode = { w: 'translate', e: 'rotate', r: 'scale' }[e.key.toLowerCase()];
+        if (mode && !(document.activeElement && document.activeElement.tagName === 'INPUT')) {
+            setGizmoMode(mode);
+        }
+    });
+
+    document.getElementById('gizmoSnap').addEventListener('change', (e) => {
+        gizmo.snap = e.target.checked;
+    });
+    document.getElementById('gridStep').addEventListener('input', (e) => {
+        gizmo.gridStep = parseFloat(e.target.value) || 0;
+    });
+    document.getElementById('angleStep').addEventListener('input', (e) => {
+        gizmo.angleStep = parseFloat(e.target.value) || 0;
+    });
+}
+
+// Switch a node to another shader. Materials are shared, so unless the node
+// is the only one using its material it gets a copy of it to change.
+function setNodeShader(node, shader) {
+    let material = node.material || DEFAULT_MATERIAL;
+    if (material.shader === shader) {
+        return;
+    }
+
+    let users = 0;
+    traverseModel(sceneRoot, (other) => {
+        if (other.material === material) {
+            users++;
+        }
+    });
+    if (material === DEFAULT_MATERIAL || users > 1) {
+        material = Object.assign({}, material, { name: uniqueKey(scene.materials, material.name + '-' + shader) });
+        // Model materials aren't saved with the scene, so neither are copies
+        // of them
+        if (!node.fromModel) {
+            scene.materials[material.name] = material;
+        }
+        node.material = material;
+    }
+    material.shader = shader;
+}
+
+function selectNode(node) {
+    selectedNode = node;
+    document.getElementById('selectionName').textContent =
+        node ? node.name : 'Click an object to select it.';
+    document.getElementById('selectionTransform').style.display = node ? '' : 'none';
+    updateSelectionPanel();
+}
+
+// Show the selected node's transform, shader and shadow settings, leaving
+// alone the field being typed in
+function updateSelectionPanel() {
+    if (!selectedNode) {
+        return;
+    }
+    SELECTION_FIELDS.forEach(({ id, property, axis, fromNode }) => {
+        const input = document.getElementById(id);
+        if (input !== document.activeElement) {
+            input.value = fromNode(selectedNode[property][axis]).toFixed(2);
+        }
+    });
+
+    document.getElementById('selCastShadows').checked = selectedNode.castShadows;
+    document.getElementById('selReceiveShadows').checked = selectedNode.receiveShadows;
+
+    const shaderSelect = document.getElementById('selShader');
+    shaderSelect.disabled = !selectedNode.mesh;
+    if (shaderSelect !== document.activeElement) {
+        shaderSelect.value = (selectedNode.material || DEFAULT_MATERIAL).shader;
+    }
+}
+
+// Show the camera state on the sliders and their labels
+function syncCameraControls() {
+    const values = {
+        rotX: Math.round(toDegrees(camera.pitch)),
+        rotY: Math.round(toDegrees(camera.yaw)),
+        rotZ: Math.round(toDegrees(camera.roll)),
+    };
+
+    Object.keys(values).forEach((id) => {
+        document.getElementById(id).value = values[id];
+        document.getElementById(id + 'Value').textContent = values[id];
+    });
+
+    document.getElementById('transX').value = camera.pan[0];
+    document.getElementById('transY').value = camera.pan[1];
+    document.getElementById('transXValue').textContent = camera.pan[0].toFixed(1);
+    document.getElementById('transYValue').textContent = camera.pan[1].toFixed(1);
+}
+
+// Matrix operations
+function createProjectionMatrix() {
+    const aspect = gl.drawingBufferWidth / gl.drawingBufferHeight;
+    const projectionMatrix = mat4.create();
+
+    mat4.perspective(projectionMatrix, camera.fieldOfView, aspect, camera.near, camera.far);
+    return projectionMatrix;
+}
+
+// Vertex buffers of a mesh and the shader attribute each one feeds
+const MESH_ATTRIBUTES = [
+    ['vertexPosition', 'position', 3],
+    ['vertexColor', 'color', 4],
+    ['vertexNormal', 'normal', 3],
+    ['textureCoord', 'uv', 2],
+];
+
+// Draw object with a shader from the library. Only the attributes and
+// uniforms the shader uses are set; wireframe shaders draw the edges.
+function drawObject(shader, buffer, modelViewMatrix, projectionMatrix, highlight = NO_HIGHLIGHT, color = NODE_COLOR_WHITE) {
+    useShader(shaderCache, shader);
+    bindMesh(shader, buffer, shader.edges ? meshEdges(buffer) : buffer.indices);
+
+    const uniforms = {
+        projectionMatrix: projectionMatrix,
+        modelViewMatrix: modelViewMatrix,
+        highlight: highlight,
+        nodeColor: color,
+    };
+    if (shader.uniformLocations.normalMatrix) {
+        uniforms.normalMatrix = normalMatrixOf(modelViewMatrix);
+    }
+    setUniforms(shaderCache, shader, uniforms);
+
+    if (shader.edges) {
+        gl.drawElements(gl.LINES, buffer.edgeCount, buffer.indexType, 0);
+        countDraw(frameStats, gl.LINES, buffer.edgeCount);
+    } else {
+        gl.drawElements(gl.TRIANGLES, buffer.vertexCount, buffer.indexType, 0);
+        countDraw(frameStats, gl.TRIANGLES, buffer.vertexCount);
+    }
+}
+
+// Draw nodes that share a mesh in one call with an instanced shader. The
+// uniforms hold the view alone; each node's transform and color go in the
+// instance buffer. World matrices must be up to date.
+function drawInstances(shader, nodes, viewMatrix, projectionMatrix) {
+    const mesh = nodes[0].mesh;
+    useShader(shaderCache, shader);
+    uploadInstances(instanceBuffer, nodes);
+    trackBuffer(frameStats, instanceBuffer.buffer, instanceBuffer.data.byteLength);
+    bindMesh(shader, mesh, shader.edges ? meshEdges(mesh) : mesh.indices);
+
+    const uniforms = {
+        projectionMatrix: projectionMatrix,
+        modelViewMatrix: viewMatrix,
+        highlight: NO_HIGHLIGHT,
+    };
+    if (shader.uniformLocations.normalMatrix) {
+        uniforms.normalMatrix = normalMatrixOf(viewMatrix);
+    }
+    setUniforms(shaderCache, shader, uniforms);
+
+    if (shader.edges) {
+        shaderCache.instancing.drawElements(gl.LINES, mesh.edgeCount, mesh.indexType, 0, nodes.length);
+        countDraw(frameStats, gl.LINES, mesh.edgeCount, nodes.length);
+    } else {
+        shaderCache.instancing.drawElements(gl.TRIANGLES, mesh.vertexCount, mesh.indexType, 0, nodes.length);
+        countDraw(frameStats, gl.TRIANGLES, mesh.vertexCount, nodes.length);
+    }
+}
+
+// Normals use the inverse transpose so non-uniform scales keep them
+// perpendicular to the surface
+function normalMatrixOf(modelViewMatrix) {
+    const normalMatrix = mat4.create();
+    mat4.invert(normalMatrix, modelViewMatrix);
+    return mat4.transpose(normalMatrix, normalMatrix);
+}
+
+// Get a mesh's buffers ready to draw with a shader, with `indices` as its
+// index buffer. Where vertex array objects are supported each mesh gets
+// one the first time it's drawn, and another with the instance attributes
+// for instanced shaders; otherwise each attribute the shader reads is
+// pointed at the mesh's buffer.
+function bindMesh(shader, mesh, indices) {
+    if (shaderCache.vertexArrays) {
+        const kind = shader.instanced ? 'instanced' : 'single';
+        if (!mesh.vertexArrays[kind]) {
+            mesh.vertexArrays[kind] = createMeshVertexArray(mesh, shader.instanced);
+        }
+        bindVertexArray(shaderCache, mesh.vertexArrays[kind]);
+    } else {
+        MESH_ATTRIBUTES.forEach(([attribute, key, size]) => {
+            bindAttribute(shaderCache, shader, attribute, mesh[key], size);
+        });
+        if (shader.instanced) {
+            pointInstanceAttributes(shaderCache, instanceBuffer);
+        }
+    }
+    bindIndexBuffer(shaderCache, indices);
+}
+
+// Vertex array object with every buffer a mesh has at its attribute's
+// fixed location, so it serves any shader
+function createMeshVertexArray(mesh, instanced) {
+    const vertexArray = shaderCache.vertexArrays.create();
+    bindVertexArray(shaderCache, vertexArray);
+    MESH_ATTRIBUTES.forEach(([attribute, key, size]) => {
+        if (mesh[key]) {
+            pointAttribute(shaderCache, ATTRIBUTE_LOCATIONS[attribute], mesh[key], size);
+        }
+    });
+    if (instanced) {
+        pointInstanceAttributes(shaderCache, instanceBuffer);
+    }
+    return vertexArray;
+}
+
+// Index buffer of a mesh's triangle edges, two indices per edge and each
+// shared edge once. Built the first time a wireframe shader draws the mesh.
+function meshEdges(mesh) {
+    if (!mesh.edges) {
+        const indices = mesh.data.indices;
+        const vertexCount = mesh.data.positions.length / 3;
+        const seen = new Set();
+        const edges = [];
+        for (let i = 0; i < indices.length; i += 3) {
+            for (let c = 0; c < 3; c++) {
+                const a = indices[i + c];
+                const b = indices[i + (c + 1) % 3];
+                const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    edges.push(a, b);
+                }
+            }
+        }
+        mesh.edges = createIndexBuffer(edges, mesh.indexType);
+        mesh.edgeCount = edges.length;
+    }
+    return mesh.edges;
+}
+
+// Bounding box and sphere of a mesh in its own space, for meshes that
+// weren't given them when built
+function meshBounds(mesh) {
+    if (!mesh.bounds) {
+        mesh.bounds = computeBounds(mesh.data.positions);
+    }
+    return mesh.bounds;
+}
+
+// World-space box around every visible mesh, from the corners of their
+// own bounding boxes, or null if nothing is visible. World matrices must
+// be up to date.
+function sceneBounds(root) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const point = vec3.create();
+
+    traverseScene(root, (node) => {
+        if (!node.mesh || !node.mesh.data) {
+            return;
+        }
+        const bounds = meshBounds(node.mesh);
+        for (let corner = 0; corner < 8; corner++) {
+            for (let axis = 0; axis < 3; axis++) {
+                point[axis] = corner & (1 << axis) ? bounds.max[axis] : bounds.min[axis];
+            }
+            vec3.transformMat4(point, point, node.worldMatrix);
+            vec3.min(min, min, point);
+            vec3.max(max, max, point);
+        }
+    });
+
+    return min[0] === Infinity ? null : { min: min, max: max };
+}
+
+// Sphere around every visible mesh
+function sceneBoundingSphere(root) {
+    const bounds = sceneBounds(root);
+    if (!bounds) {
+        return { center: [0, 0, 0], radius: 1 };
+    }
+    return {
+        center: vec3.lerp(vec3.create(), bounds.min, bounds.max, 0.5),
+        radius: Math.max(vec3.distance(bounds.min, bounds.max) / 2, 0.01),
+    };
+}
+
+// Work out how far the lid is open and how far the figure has popped out
+// for a given crank angle. The box stays shut for the first few turns of
+// every cycle, then the lid flies open and the figure springs out, bobs for
+// a while, ducks back in and the lid closes before the next cycle starts.
+function jackInTheBoxState(crankAngle) {
+    const turns = crankAngle / (2 * Math.PI);
+    const phase = ((turns % JACK_CYCLE_TURNS) + JACK_CYCLE_TURNS) % JACK_CYCLE_TURNS;
+
+    if (phase < JACK_POP_TURN) {
+        return { lidAngle: 0, figureHeight: 0 };
+    }
+
+    // Progress through the open part of the cycle, 0 to 1
+    const t = (phase - JACK_POP_TURN) / (JACK_CYCLE_TURNS - JACK_POP_TURN);
+    const easeOut = (x) => 1 - (1 - x) * (1 - x);
+
+    if (t < 0.1) {
+        // Lid flies open and the figure springs up
+        const k = easeOut(t / 0.1);
+        return { lidAngle: JACK_LID_OPEN_ANGLE * k, figureHeight: k };
+    }
+    if (t < 0.7) {
+        // Figure bobs on its spring
+        const u = (t - 0.1) / 0.6;
+        return {
+            lidAngle: JACK_LID_OPEN_ANGLE,
+            figureHeight: 1 + 0.2 * Math.exp(-4 * u) * Math.sin(u * 6 * Math.PI),
+        };
+    }
+    if (t < 0.85) {
+        // Figure ducks back into the box
+        return { lidAngle: JACK_LID_OPEN_ANGLE, figureHeight: 1 - (t - 0.7) / 0.15 };
+    }
+
+    // Lid swings shut
+    return { lidAngle: JACK_LID_OPEN_ANGLE * (1 - (t - 0.85) / 0.15), figureHeight: 0 };
+}
+
+// Apply the jack-in-the-box state to the lid hinge and figure nodes
+function poseJackInTheBox(crankAngle, lidHinge, figure, hiddenHeight, poppedHeight) {
+    const state = jackInTheBoxState(crankAngle);
+
+    lidHinge.rotation[0] = -state.lidAngle;
+
+    figure.visible = state.figureHeight > 0;
+    figure.translation[1] = hiddenHeight + (poppedHeight - hiddenHeight) * state.figureHeight;
+}
+
+// Behaviours a scene file can list under "animations". Each one moves the
+// nodes it names for the given timeline time.
+const SCENE_ANIMATIONS = {
+    // Keyframe track on one node property; rotations are keyed in degrees
+    keyframes: (animation, time) => {
+        const node = animationNode(animation.node);
+        const value = sampleKeyframes(animation.keyframes, time);
+        node[animation.property] = animation.property === 'rotation' ? value.map(toRadians) : value;
+    },
+
+    // Lid and figure follow the crank's rotation
+    jackInTheBox: (animation) => {
+        poseJackInTheBox(
+            animationNode(animation.crank).rotation[0],
+            animationNode(animation.lid),
+            animationNode(animation.figure),
+            animation.hiddenHeight !== undefined ? animation.hiddenHeight : JACK_HIDDEN_HEIGHT,
+            animation.poppedHeight !== undefined ? animation.poppedHeight : JACK_POPPED_HEIGHT
+        );
+    },
+};
+
+// Fields of each animation that name a node, checked against the scene's
+// nodes when it's built
+const SCENE_ANIMATION_NODES = {
+    keyframes: ['node'],
+    jackInTheBox: ['crank', 'lid', 'figure'],
+};
+
+function animationNode(name) {
+    const node = findNode(sceneRoot, name);
+    if (!node) {
+        throw new Error('Animation refers to missing node "' + name + '"');
+    }
+    return node;
+}
+
+// Update animated node transforms, in the order the scene file lists them,
+// then play the clips of any glTF models. Clips play on the timeline's
+// clock and loop over their own length.
+function animateScene(time) {
+    scene.animations.forEach((animation) => {
+        SCENE_ANIMATIONS[animation.type](animation, time);
+    });
+    scene.models.forEach((model) => {
+        model.clips.forEach((clip) => playGltfClip(clip, time));
+    });
+}
+
+// Uniforms shared by everything a shader draws this frame. Shadow maps
+// take the texture units after the material's texture.
+function applyFrameUniforms(shader, viewMatrix, activeShadowMaps) {
+    if (shader.uniformLocations.ambientLight) {
+        applyLightUniforms(shaderCache, shader, viewMatrix, activeShadowMaps);
+    }
+    if (shader.uniformLocations.shadowMaps) {
+        applyShadowUniforms(shaderCache, shader, activeShadowMaps, viewMatrix, 1);
+    }
+    setUniforms(shaderCache, shader, { blinnPhong: useBlinnPhong });
+}
+
+// Draw the depth of every shadow caster into a shadow map for each enabled
+// light that casts shadows, as many as there are maps. Returns the maps
+// drawn this frame.
+function drawShadowMaps() {
+    const casters = lights.filter((light) => light.enabled && light.castShadows).slice(0, MAX_SHADOW_MAPS);
+    if (!casters.length) {
+        return [];
+    }
+    const sphere = sceneBoundingSphere(sceneRoot);
+    const shader = getShader(shaderCache, 'shadowDepth');
+    const instancedShader = getShader(shaderCache, 'shadowDepthInstanced');
+
+    const nodes = [];
+    traverseScene(sceneRoot, (node) => {
+        if (node.mesh && node.castShadows) {
+            nodes.push(node);
+        }
+    });
+    const { batches, singles } = batchInstances(shaderCache, nodes);
+
+    // White unpacks to the far plane, where nothing casts a shadow
+    gl.clearColor(1.0, 1.0, 1.0, 1.0);
+    const drawn = casters.map((light, i) => {
+        const map = shadowMaps[i];
+        fitShadowCamera(map, light, sphere);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, map.framebuffer);
+        gl.viewport(0, 0, map.size, map.size);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        useShader(shaderCache, shader);
+        setUniforms(shaderCache, shader, { shadowRange: [map.near, map.far] });
+        singles.forEach((node) => {
+            const modelViewMatrix = mat4.create();
+            mat4.multiply(modelViewMatrix, map.viewMatrix, node.worldMatrix);
+            drawObject(shader, node.mesh, modelViewMatrix, map.projectionMatrix);
+        });
+
+        if (batches.length) {
+            useShader(shaderCache, instancedShader);
+            setUniforms(shaderCache, instancedShader, { shadowRange: [map.near, map.far] });
+            batches.forEach((batch) => drawInstances(instancedShader, batch, map.viewMatrix, map.projectionMatrix));
+        }
+        return map;
+    });
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    gl.clearColor(...CLEAR_COLOR);
+    return drawn;
+}
+
+// Surface settings for the next objects drawn with a shader
+function applyMaterial(shader, material) {
+    setUniforms(shaderCache, shader, {
+        specularColor: material.specular,
+        shininess: material.shininess,
+        materialColor: material.color || NODE_COLOR_WHITE,
+    });
+
+    if (shader.uniformLocations.texture) {
+        const texture = useTextures && material.texture ? material.texture : textureManager.white;
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+        setUniforms(shaderCache, shader, { texture: 0 });
+    }
+}
+
+// Group the nodes to draw by shader and then by material, so each program
+// is switched to and each material's uniforms are set once a frame.
+// Groups keep the order the scene first reaches them in.
+//
+// Nodes that also share a mesh move to the shader's instanced variant as a
+// batch, an array of nodes. The selected node stays on its own so it can
+// be tinted, as do nodes that don't receive shadows, which is set per draw.
+//
+// Nodes outside `frustum` are left out, unless it's null. `stats` counts
+// the nodes kept and culled.
+function collectDrawGroups(root, frustum = null, stats = { drawn: 0, culled: 0 }) {
+    const addTo = (groups, shader, material, item) => {
+        if (!groups.has(shader)) {
+            groups.set(shader, new Map());
+        }
+        const byMaterial = groups.get(shader);
+        if (!byMaterial.has(material)) {
+            byMaterial.set(material, []);
+        }
+        byMaterial.get(material).push(item);
+    };
+
+    const byShader = new Map();
+    traverseScene(root, (node) => {
+        if (!node.mesh) {
+            return;
+        }
+        if (frustum && !nodeInFrustum(frustum, node, meshBounds(node.mesh))) {
+            stats.culled++;
+            return;
+        }
+        stats.drawn++;
+        const material = node.material || DEFAULT_MATERIAL;
+        addTo(byShader, getShader(shaderCache, material.shader || DEFAULT_MATERIAL.shader), material, node);
+    });
+
+    const groups = new Map();
+    byShader.forEach((byMaterial, shader) => {
+        const instancedName = instancedShaderName(shader.name);
+        byMaterial.forEach((nodes, material) => {
+            const { batches, singles } = instancedName ?
+                batchInstances(shaderCache, nodes, (node) => node === selectedNode || !node.receiveShadows) :
+                { batches: [], singles: nodes };
+            singles.forEach((node) => addTo(groups, shader, material, node));
+            batches.forEach((batch) => addTo(groups, getShader(shaderCache, instancedName), material, batch));
+        });
+    });
+    return groups;
+}
+
+// Draw the selected node, and everything under it, flat white into the
+// selection outline's mask
+function drawSelectionMask(viewMatrix, projectionMatrix) {
+    if (!selectedNode) {
+        return;
+    }
+    const shader = getShader(shaderCache, 'selectionMask');
+    traverseScene(selectedNode, (node) => {
+        if (!node.mesh) {
+            return;
+        }
+        const modelViewMatrix = mat4.create();
+        mat4.multiply(modelViewMatrix, viewMatrix, node.worldMatrix);
+        drawObject(shader, node.mesh, modelViewMatrix, projectionMatrix);
+    });
+}
+
+// Show how many objects were drawn and culled this frame
+function updateCullingStats(stats) {
+    const text = stats.drawn + ' drawn, ' + stats.culled + ' culled';
+    const readout = document.getElementById('cullingStats');
+    if (readout.textContent !== text) {
+        readout.textContent = text;
+    }
+}
+
+// Draw a line mesh with the unlit line shader
+function drawLines(buffer, modelViewMatrix, projectionMatrix, colorOverride = NO_HIGHLIGHT) {
+    const shader = getShader(shaderCache, 'lines');
+    useShader(shaderCache, shader);
+    bindMesh(shader, buffer, buffer.indices);
+    setUniforms(shaderCache, shader, {
+        projectionMatrix: projectionMatrix,
+        modelViewMatrix: modelViewMatrix,
+        colorOverride: colorOverride,
+    });
+
+    gl.drawElements(gl.LINES, buffer.vertexCount, buffer.indexType, 0);
+    countDraw(frameStats, gl.LINES, buffer.vertexCount);
+}
+
+// Draw scene
+function drawScene(now) {
+    beginFrameStats(frameStats, showPerformanceHud);
+
+    // Follow the canvas's displayed size before anything reads it
+    if (resizeViewport(viewport)) {
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+
+    const projectionMatrix = createProjectionMatrix();
+    const viewMatrix = getViewMatrix(camera);
+
+    // The timeline moves on in fixed steps of real time; the first call
+    // comes from outside requestAnimationFrame and has no timestamp. The
+    // scene is drawn however far the clock has got into the next step.
+    if (now !== undefined) {
+        tickClock(clock, now, (step) => advanceTimeline(timeline, step));
+    }
+    syncTimelineControls();
+
+    animateScene(timelineTimeAfter(timeline, clock.alpha * clock.fixedStep));
+    updateWorldMatrices(sceneRoot, null);
+
+    // Shadow maps come first; the main pass reads them. The scene then goes
+    // offscreen if any post-processing pass is on.
+    const activeShadowMaps = drawShadowMaps();
+    const postProcessing = beginPostProcessing(postProcessor);
+    // Its targets follow the canvas's size
+    trackBuffer(frameStats, postProcessor, postProcessorBytes(postProcessor));
+    // Shadow maps and the outline mask clear to colors of their own
+    gl.clearColor(...CLEAR_COLOR);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    // Draw every node that has a mesh and is in view, one shader and
+    // material at a time; instanced shaders draw batches of nodes
+    const frustum = useFrustumCulling ?
+        setFrustumFromMatrix(cameraFrustum, mat4.multiply(mat4.create(), projectionMatrix, viewMatrix)) : null;
+    const cullingStats = { drawn: 0, culled: 0 };
+    collectDrawGroups(sceneRoot, frustum, cullingStats).forEach((byMaterial, shader) => {
+        useShader(shaderCache, shader);
+        applyFrameUniforms(shader, viewMatrix, activeShadowMaps);
+        byMaterial.forEach((items, material) => {
+            applyMaterial(shader, material);
+            items.forEach((item) => {
+                if (shader.instanced) {
+                    setUniforms(shaderCache, shader, { receiveShadows: true });
+                    drawInstances(shader, item, viewMatrix, projectionMatrix);
+                    return;
+                }
+                const node = item;
+                const modelViewMatrix = mat4.create();
+                mat4.multiply(modelViewMatrix, viewMatrix, node.worldMatrix);
+                const highlight = node === selectedNode ? SELECTION_HIGHLIGHT : NO_HIGHLIGHT;
+                setUniforms(shaderCache, shader, { receiveShadows: node.receiveShadows });
+                drawObject(shader, node.mesh, modelViewMatrix, projectionMatrix, highlight, node.color);
+            });
+        });
+    });
+
+    drawHelpers(helpers, sceneRoot, viewMatrix, projectionMatrix);
+
+    // The gizmo goes on top afterwards, untouched by the passes
+    if (postProcessing) {
+        finishPostProcessing(postProcessor, () => drawSelectionMask(viewMatrix, projectionMatrix));
+    }
+
+    if (selectedNode) {
+        drawGizmo(gizmo, selectedNode, viewMatrix, projectionMatrix);
+    }
+
+    updateSelectionPanel();
+    updateCullingStats(cullingStats);
+    if (endFrameStats(frameStats) && showPerformanceHud) {
+        updatePerformanceHud(frameStats, document.getElementById('performanceHud'));
+    }
+
+    animationFrame = requestAnimationFrame(drawScene);
+}
+
+// Start the application
+window.onload = initWebGL;
@@ -0,0 +1,1019 @@
+// Math library: vec3, vec4, quat and mat4
+//
+// Every function writes into `out` and returns it, so results can be
+// reused frame to frame without allocating; mat4.invert returns null
+// instead for a singular matrix. Matrices are column-major
+// Float32Arrays, quaternions are [x, y, z, w].
+
+const MATH_EPSILON = 0.000001;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+// 4x4 matrices, column-major like WebGL expects
+const mat4 = {
+    create: function() {
+        return new Float32Array([
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        ]);
+    },
+
+    identity: function(out) {
+        out[0] = 1;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 0;
+        out[5] = 1;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 0;
+        out[9] = 0;
+        out[10] = 1;
+        out[11] = 0;
+        out[12] = 0;
+        out[13] = 0;
+        out[14] = 0;
+        out[15] = 1;
+        return out;
+    },
+
+    clone: function(a) {
+        return new Float32Array(a);
+    },
+
+    copy: function(out, a) {
+        for (let i = 0; i < 16; i++) {
+            out[i] = a[i];
+        }
+        return out;
+    },
+
+    multiply: function(out, a, b) {
+        const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+        const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+        const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+        const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+        for (let i = 0; i < 4; i++) {
+            const b0 = b[i * 4], b1 = b[i * 4 + 1], b2 = b[i * 4 + 2], b3 = b[i * 4 + 3];
+            out[i * 4] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
+            out[i * 4 + 1] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
+            out[i * 4 + 2] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
+            out[i * 4 + 3] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
+        }
+
+        return out;
+    },
+
+    transpose: function(out, a) {
+        if (out === a) {
+            const a01 = a[1], a02 = a[2], a03 = a[3];
+            const a12 = a[6], a13 = a[7];
+            const a23 = a[11];
+
+            out[1] = a[4];
+            out[2] = a[8];
+            out[3] = a[12];
+            out[4] = a01;
+            out[6] = a[9];
+            out[7] = a[13];
+            out[8] = a02;
+            out[9] = a12;
+            out[11] = a[14];
+            out[12] = a03;
+            out[13] = a13;
+            out[14] = a23;
+        } else {
+            for (let col = 0; col < 4; col++) {
+                for (let row = 0; row < 4; row++) {
+                    out[col * 4 + row] = a[row * 4 + col];
+                }
+            }
+        }
+
+        return out;
+    },
+
+    invert: function(out, a) {
+        const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+        const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+        const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+        const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+        const b00 = a00 * a11 - a01 * a10;
+        const b01 = a00 * a12 - a02 * a10;
+        const b02 = a00 * a13 - a03 * a10;
+        const b03 = a01 * a12 - a02 * a11;
+        const b04 = a01 * a13 - a03 * a11;
+        const b05 = a02 * a13 - a03 * a12;
+        const b06 = a20 * a31 - a21 * a30;
+        const b07 = a20 * a32 - a22 * a30;
+        const b08 = a20 * a33 - a23 * a30;
+        const b09 = a21 * a32 - a22 * a31;
+        const b10 = a21 * a33 - a23 * a31;
+        const b11 = a22 * a33 - a23 * a32;
+
+        let det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+
+        if (!det) {
+            return null;
+        }
+        det = 1.0 / det;
+
+        out[0] = (a11 * b11 - a12 * b10 + a13 * b09) * det;
+        out[1] = (a02 * b10 - a01 * b11 - a03 * b09) * det;
+        out[2] = (a31 * b05 - a32 * b04 + a33 * b03) * det;
+        out[3] = (a22 * b04 - a21 * b05 - a23 * b03) * det;
+        out[4] = (a12 * b08 - a10 * b11 - a13 * b07) * det;
+        out[5] = (a00 * b11 - a02 * b08 + a03 * b07) * det;
+        out[6] = (a32 * b02 - a30 * b05 - a33 * b01) * det;
+        out[7] = (a20 * b05 - a22 * b02 + a23 * b01) * det;
+        out[8] = (a10 * b10 - a11 * b08 + a13 * b06) * det;
+        out[9] = (a01 * b08 - a00 * b10 - a03 * b06) * det;
+        out[10] = (a30 * b04 - a31 * b02 + a33 * b00) * det;
+        out[11] = (a21 * b02 - a20 * b04 - a23 * b00) * det;
+        out[12] = (a11 * b07 - a10 * b09 - a12 * b06) * det;
+        out[13] = (a00 * b09 - a01 * b07 + a02 * b06) * det;
+        out[14] = (a31 * b01 - a30 * b03 - a32 * b00) * det;
+        out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * det;
+
+        return out;
+    },
+
+    perspective: function(out, fovy, aspect, near, far) {
+        const f = 1.0 / Math.tan(fovy / 2);
+        const nf = 1 / (near - far);
+
+        out[0] = f / aspect;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 0;
+        out[5] = f;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 0;
+        out[9] = 0;
+        out[10] = (far + near) * nf;
+        out[11] = -1;
+        out[12] = 0;
+        out[13] = 0;
+        out[14] = 2 * far * near * nf;
+        out[15] = 0;
+        return out;
+    },
+
+    translate: function(out, a, v) {
+        const x = v[0], y = v[1], z = v[2];
+
+        out[12] = a[0] * x + a[4] * y + a[8] * z + a[12];
+        out[13] = a[1] * x + a[5] * y + a[9] * z + a[13];
+        out[14] = a[2] * x + a[6] * y + a[10] * z + a[14];
+        out[15] = a[3] * x + a[7] * y + a[11] * z + a[15];
+
+        if (a !== out) {
+            out[0] = a[0];
+            out[1] = a[1];
+            out[2] = a[2];
+            out[3] = a[3];
+            out[4] = a[4];
+            out[5] = a[5];
+            out[6] = a[6];
+            out[7] = a[7];
+            out[8] = a[8];
+            out[9] = a[9];
+            out[10] = a[10];
+            out[11] = a[11];
+        }
+
+        return out;
+    },
+
+    rotateX: function(out, a, rad) {
+        const s = Math.sin(rad);
+        const c = Math.cos(rad);
+        const a10 = a[4];
+        const a11 = a[5];
+        const a12 = a[6];
+        const a13 = a[7];
+        const a20 = a[8];
+        const a21 = a[9];
+        const a22 = a[10];
+        const a23 = a[11];
+
+        if (a !== out) {
+            out[0] = a[0];
+            out[1] = a[1];
+            out[2] = a[2];
+            out[3] = a[3];
+            out[12] = a[12];
+            out[13] = a[13];
+            out[14] = a[14];
+            out[15] = a[15];
+        }
+
+        out[4] = a10 * c + a20 * s;
+        out[5] = a11 * c + a21 * s;
+        out[6] = a12 * c + a22 * s;
+        out[7] = a13 * c + a23 * s;
+        out[8] = a20 * c - a10 * s;
+        out[9] = a21 * c - a11 * s;
+        out[10] = a22 * c - a12 * s;
+        out[11] = a23 * c - a13 * s;
+
+        return out;
+    },
+
+    rotateY: function(out, a, rad) {
+        const s = Math.sin(rad);
+        const c = Math.cos(rad);
+        const a00 = a[0];
+        const a01 = a[1];
+        const a02 = a[2];
+        const a03 = a[3];
+        const a20 = a[8];
+        const a21 = a[9];
+        const a22 = a[10];
+        const a23 = a[11];
+
+        if (a !== out) {
+            out[4] = a[4];
+            out[5] = a[5];
+            out[6] = a[6];
+            out[7] = a[7];
+            out[12] = a[12];
+            out[13] = a[13];
+            out[14] = a[14];
+            out[15] = a[15];
+        }
+
+        out[0] = a00 * c - a20 * s;
+        out[1] = a01 * c - a21 * s;
+        out[2] = a02 * c - a22 * s;
+        out[3] = a03 * c - a23 * s;
+        out[8] = a00 * s + a20 * c;
+        out[9] = a01 * s + a21 * c;
+        out[10] = a02 * s + a22 * c;
+        out[11] = a03 * s + a23 * c;
+
+        return out;
+    },
+
+    rotateZ: function(out, a, rad) {
+        const s = Math.sin(rad);
+        const c = Math.cos(rad);
+        const a00 = a[0];
+        const a01 = a[1];
+        const a02 = a[2];
+        const a03 = a[3];
+        const a10 = a[4];
+        const a11 = a[5];
+        const a12 = a[6];
+        const a13 = a[7];
+
+        if (a !== out) {
+            out[8] = a[8];
+            out[9] = a[9];
+            out[10] = a[10];
+            out[11] = a[11];
+            out[12] = a[12];
+            out[13] = a[13];
+            out[14] = a[14];
+            out[15] = a[15];
+        }
+
+        out[0] = a00 * c + a10 * s;
+        out[1] = a01 * c + a11 * s;
+        out[2] = a02 * c + a12 * s;
+        out[3] = a03 * c + a13 * s;
+        out[4] = a10 * c - a00 * s;
+        out[5] = a11 * c - a01 * s;
+        out[6] = a12 * c - a02 * s;
+        out[7] = a13 * c - a03 * s;
+
+        return out;
+    },
+
+    scale: function(out, a, v) {
+        const x = v[0], y = v[1], z = v[2];
+
+        out[0] = a[0] * x;
+        out[1] = a[1] * x;
+        out[2] = a[2] * x;
+        out[3] = a[3] * x;
+        out[4] = a[4] * y;
+        out[5] = a[5] * y;
+        out[6] = a[6] * y;
+        out[7] = a[7] * y;
+        out[8] = a[8] * z;
+        out[9] = a[9] * z;
+        out[10] = a[10] * z;
+        out[11] = a[11] * z;
+
+        if (a !== out) {
+            out[12] = a[12];
+            out[13] = a[13];
+            out[14] = a[14];
+            out[15] = a[15];
+        }
+
+        return out;
+    },
+
+    determinant: function(a) {
+        const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+        const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+        const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+        const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+
+        const b00 = a00 * a11 - a01 * a10;
+        const b01 = a00 * a12 - a02 * a10;
+        const b02 = a00 * a13 - a03 * a10;
+        const b03 = a01 * a12 - a02 * a11;
+        const b04 = a01 * a13 - a03 * a11;
+        const b05 = a02 * a13 - a03 * a12;
+        const b06 = a20 * a31 - a21 * a30;
+        const b07 = a20 * a32 - a22 * a30;
+        const b08 = a20 * a33 - a23 * a30;
+        const b09 = a21 * a32 - a22 * a31;
+        const b10 = a21 * a33 - a23 * a31;
+        const b11 = a22 * a33 - a23 * a32;
+
+        return b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    },
+
+    ortho: function(out, left, right, bottom, top, near, far) {
+        const lr = 1 / (left - right);
+        const bt = 1 / (bottom - top);
+        const nf = 1 / (near - far);
+
+        out[0] = -2 * lr;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 0;
+        out[5] = -2 * bt;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 0;
+        out[9] = 0;
+        out[10] = 2 * nf;
+        out[11] = 0;
+        out[12] = (left + right) * lr;
+        out[13] = (top + bottom) * bt;
+        out[14] = (far + near) * nf;
+        out[15] = 1;
+        return out;
+    },
+
+    // View matrix for an eye looking at a center point
+    lookAt: function(out, eye, center, up) {
+        let z0 = eye[0] - center[0];
+        let z1 = eye[1] - center[1];
+        let z2 = eye[2] - center[2];
+
+        let len = Math.hypot(z0, z1, z2);
+        if (len < MATH_EPSILON) {
+            return mat4.identity(out);
+        }
+        z0 /= len;
+        z1 /= len;
+        z2 /= len;
+
+        let x0 = up[1] * z2 - up[2] * z1;
+        let x1 = up[2] * z0 - up[0] * z2;
+        let x2 = up[0] * z1 - up[1] * z0;
+        len = Math.hypot(x0, x1, x2);
+        if (len < MATH_EPSILON) {
+            x0 = 0;
+            x1 = 0;
+            x2 = 0;
+        } else {
+            x0 /= len;
+            x1 /= len;
+            x2 /= len;
+        }
+
+        const y0 = z1 * x2 - z2 * x1;
+        const y1 = z2 * x0 - z0 * x2;
+        const y2 = z0 * x1 - z1 * x0;
+
+        out[0] = x0;
+        out[1] = y0;
+        out[2] = z0;
+        out[3] = 0;
+        out[4] = x1;
+        out[5] = y1;
+        out[6] = z1;
+        out[7] = 0;
+        out[8] = x2;
+        out[9] = y2;
+        out[10] = z2;
+        out[11] = 0;
+        out[12] = -(x0 * eye[0] + x1 * eye[1] + x2 * eye[2]);
+        out[13] = -(y0 * eye[0] + y1 * eye[1] + y2 * eye[2]);
+        out[14] = -(z0 * eye[0] + z1 * eye[1] + z2 * eye[2]);
+        out[15] = 1;
+        return out;
+    },
+
+    // Rotate around an arbitrary axis
+    rotate: function(out, a, rad, axis) {
+        let x = axis[0], y = axis[1], z = axis[2];
+        const len = Math.hypot(x, y, z);
+
+        if (len < MATH_EPSILON) {
+            return null;
+        }
+        x /= len;
+        y /= len;
+        z /= len;
+
+        const s = Math.sin(rad);
+        const c = Math.cos(rad);
+        const t = 1 - c;
+
+        // Rotation matrix
+        const b00 = x * x * t + c, b01 = y * x * t + z * s, b02 = z * x * t - y * s;
+        const b10 = x * y * t - z * s, b11 = y * y * t + c, b12 = z * y * t + x * s;
+        const b20 = x * z * t + y * s, b21 = y * z * t - x * s, b22 = z * z * t + c;
+
+        const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+        const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+        const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+
+        out[0] = a00 * b00 + a10 * b01 + a20 * b02;
+        out[1] = a01 * b00 + a11 * b01 + a21 * b02;
+        out[2] = a02 * b00 + a12 * b01 + a22 * b02;
+        out[3] = a03 * b00 + a13 * b01 + a23 * b02;
+        out[4] = a00 * b10 + a10 * b11 + a20 * b12;
+        out[5] = a01 * b10 + a11 * b11 + a21 * b12;
+        out[6] = a02 * b10 + a12 * b11 + a22 * b12;
+        out[7] = a03 * b10 + a13 * b11 + a23 * b12;
+        out[8] = a00 * b20 + a10 * b21 + a20 * b22;
+        out[9] = a01 * b20 + a11 * b21 + a21 * b22;
+        out[10] = a02 * b20 + a12 * b21 + a22 * b22;
+        out[11] = a03 * b20 + a13 * b21 + a23 * b22;
+
+        if (a !== out) {
+            out[12] = a[12];
+            out[13] = a[13];
+            out[14] = a[14];
+            out[15] = a[15];
+        }
+
+        return out;
+    },
+
+    fromTranslation: function(out, v) {
+        mat4.identity(out);
+        out[12] = v[0];
+        out[13] = v[1];
+        out[14] = v[2];
+        return out;
+    },
+
+    // Rotation matrix from a unit quaternion
+    fromQuat: function(out, q) {
+        const x = q[0], y = q[1], z = q[2], w = q[3];
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+
+        const xx = x * x2, yx = y * x2, yy = y * y2;
+        const zx = z * x2, zy = z * y2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+
+        out[0] = 1 - yy - zz;
+        out[1] = yx + wz;
+        out[2] = zx - wy;
+        out[3] = 0;
+        out[4] = yx - wz;
+        out[5] = 1 - xx - zz;
+        out[6] = zy + wx;
+        out[7] = 0;
+        out[8] = zx + wy;
+        out[9] = zy - wx;
+        out[10] = 1 - xx - yy;
+        out[11] = 0;
+        out[12] = 0;
+        out[13] = 0;
+        out[14] = 0;
+        out[15] = 1;
+        return out;
+    },
+
+    // Translation * rotation * scale in one go
+    fromRotationTranslationScale: function(out, q, v, s) {
+        mat4.fromQuat(out, q);
+
+        out[0] *= s[0];
+        out[1] *= s[0];
+        out[2] *= s[0];
+        out[4] *= s[1];
+        out[5] *= s[1];
+        out[6] *= s[1];
+        out[8] *= s[2];
+        out[9] *= s[2];
+        out[10] *= s[2];
+        out[12] = v[0];
+        out[13] = v[1];
+        out[14] = v[2];
+        return out;
+    },
+
+    getTranslation: function(out, m) {
+        out[0] = m[12];
+        out[1] = m[13];
+        out[2] = m[14];
+        return out;
+    },
+
+    getScaling: function(out, m) {
+        out[0] = Math.hypot(m[0], m[1], m[2]);
+        out[1] = Math.hypot(m[4], m[5], m[6]);
+        out[2] = Math.hypot(m[8], m[9], m[10]);
+
+        // A mirrored matrix gets its flip on the X axis
+        if (mat4.determinant(m) < 0) {
+            out[0] = -out[0];
+        }
+        return out;
+    },
+
+    getRotation: function(out, m) {
+        const scaling = mat4.getScaling([0, 0, 0], m);
+        const m00 = m[0] / scaling[0], m01 = m[1] / scaling[0], m02 = m[2] / scaling[0];
+        const m10 = m[4] / scaling[1], m11 = m[5] / scaling[1], m12 = m[6] / scaling[1];
+        const m20 = m[8] / scaling[2], m21 = m[9] / scaling[2], m22 = m[10] / scaling[2];
+        const trace = m00 + m11 + m22;
+
+        if (trace > 0) {
+            const s = Math.sqrt(trace + 1.0) * 2;
+            out[3] = 0.25 * s;
+            out[0] = (m12 - m21) / s;
+            out[1] = (m20 - m02) / s;
+            out[2] = (m01 - m10) / s;
+        } else if (m00 > m11 && m00 > m22) {
+            const s = Math.sqrt(1.0 + m00 - m11 - m22) * 2;
+            out[3] = (m12 - m21) / s;
+            out[0] = 0.25 * s;
+            out[1] = (m01 + m10) / s;
+            out[2] = (m20 + m02) / s;
+        } else if (m11 > m22) {
+            const s = Math.sqrt(1.0 + m11 - m00 - m22) * 2;
+            out[3] = (m20 - m02) / s;
+            out[0] = (m01 + m10) / s;
+            out[1] = 0.25 * s;
+            out[2] = (m12 + m21) / s;
+        } else {
+            const s = Math.sqrt(1.0 + m22 - m00 - m11) * 2;
+            out[3] = (m01 - m10) / s;
+            out[0] = (m20 + m02) / s;
+            out[1] = (m12 + m21) / s;
+            out[2] = 0.25 * s;
+        }
+
+        return quat.normalize(out, out);
+    },
+
+    // Split a matrix without shear into translation, rotation and scale.
+    // Returns outTranslation, the first of its outputs.
+    decompose: function(outTranslation, outRotation, outScale, m) {
+        mat4.getTranslation(outTranslation, m);
+        mat4.getScaling(outScale, m);
+        mat4.getRotation(outRotation, m);
+        return outTranslation;
+    },
+
+    equals: function(a, b, epsilon = MATH_EPSILON) {
+        for (let i = 0; i < 16; i++) {
+            if (Math.abs(a[i] - b[i]) > epsilon * Math.max(1.0, Math.abs(a[i]), Math.abs(b[i]))) {
+                return false;
+            }
+        }
+        return true;
+    }
+};
+
+// 3-component vectors
+const vec3 = {
+    create: function() {
+        return new Float32Array(3);
+    },
+
+    fromValues: function(x, y, z) {
+        return new Float32Array([x, y, z]);
+    },
+
+    clone: function(a) {
+        return new Float32Array(a);
+    },
+
+    copy: function(out, a) {
+        out[0] = a[0];
+        out[1] = a[1];
+        out[2] = a[2];
+        return out;
+    },
+
+    set: function(out, x, y, z) {
+        out[0] = x;
+        out[1] = y;
+        out[2] = z;
+        return out;
+    },
+
+    add: function(out, a, b) {
+        out[0] = a[0] + b[0];
+        out[1] = a[1] + b[1];
+        out[2] = a[2] + b[2];
+        return out;
+    },
+
+    subtract: function(out, a, b) {
+        out[0] = a[0] - b[0];
+        out[1] = a[1] - b[1];
+        out[2] = a[2] - b[2];
+        return out;
+    },
+
+    multiply: function(out, a, b) {
+        out[0] = a[0] * b[0];
+        out[1] = a[1] * b[1];
+        out[2] = a[2] * b[2];
+        return out;
+    },
+
+    scale: function(out, a, s) {
+        out[0] = a[0] * s;
+        out[1] = a[1] * s;
+        out[2] = a[2] * s;
+        return out;
+    },
+
+    // a + b * s
+    scaleAndAdd: function(out, a, b, s) {
+        out[0] = a[0] + b[0] * s;
+        out[1] = a[1] + b[1] * s;
+        out[2] = a[2] + b[2] * s;
+        return out;
+    },
+
+    min: function(out, a, b) {
+        out[0] = Math.min(a[0], b[0]);
+        out[1] = Math.min(a[1], b[1]);
+        out[2] = Math.min(a[2], b[2]);
+        return out;
+    },
+
+    max: function(out, a, b) {
+        out[0] = Math.max(a[0], b[0]);
+        out[1] = Math.max(a[1], b[1]);
+        out[2] = Math.max(a[2], b[2]);
+        return out;
+    },
+
+    negate: function(out, a) {
+        out[0] = -a[0];
+        out[1] = -a[1];
+        out[2] = -a[2];
+        return out;
+    },
+
+    dot: function(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    },
+
+    cross: function(out, a, b) {
+        const ax = a[0], ay = a[1], az = a[2];
+        const bx = b[0], by = b[1], bz = b[2];
+
+        out[0] = ay * bz - az * by;
+        out[1] = az * bx - ax * bz;
+        out[2] = ax * by - ay * bx;
+        return out;
+    },
+
+    length: function(a) {
+        return Math.hypot(a[0], a[1], a[2]);
+    },
+
+    distance: function(a, b) {
+        return Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+    },
+
+    normalize: function(out, a) {
+        const len = Math.hypot(a[0], a[1], a[2]);
+        const inv = len > 0 ? 1 / len : 0;
+
+        out[0] = a[0] * inv;
+        out[1] = a[1] * inv;
+        out[2] = a[2] * inv;
+        return out;
+    },
+
+    lerp: function(out, a, b, t) {
+        out[0] = a[0] + t * (b[0] - a[0]);
+        out[1] = a[1] + t * (b[1] - a[1]);
+        out[2] = a[2] + t * (b[2] - a[2]);
+        return out;
+    },
+
+    // Transform a point, including the divide by w
+    transformMat4: function(out, a, m) {
+        const x = a[0], y = a[1], z = a[2];
+        const w = m[3] * x + m[7] * y + m[11] * z + m[15] || 1.0;
+
+        out[0] = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+        out[1] = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+        out[2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+        return out;
+    },
+
+    // Transform a direction: rotation and scale only, no translation
+    transformDirection: function(out, a, m) {
+        const x = a[0], y = a[1], z = a[2];
+
+        out[0] = m[0] * x + m[4] * y + m[8] * z;
+        out[1] = m[1] * x + m[5] * y + m[9] * z;
+        out[2] = m[2] * x + m[6] * y + m[10] * z;
+        return out;
+    },
+
+    transformQuat: function(out, a, q) {
+        const qx = q[0], qy = q[1], qz = q[2], qw = q[3];
+        const x = a[0], y = a[1], z = a[2];
+
+        // t = 2 * cross(q.xyz, a)
+        const tx = 2 * (qy * z - qz * y);
+        const ty = 2 * (qz * x - qx * z);
+        const tz = 2 * (qx * y - qy * x);
+
+        // a + w * t + cross(q.xyz, t)
+        out[0] = x + qw * tx + qy * tz - qz * ty;
+        out[1] = y + qw * ty + qz * tx - qx * tz;
+        out[2] = z + qw * tz + qx * ty - qy * tx;
+        return out;
+    },
+
+    equals: function(a, b, epsilon = MATH_EPSILON) {
+        for (let i = 0; i < 3; i++) {
+            if (Math.abs(a[i] - b[i]) > epsilon * Math.max(1.0, Math.abs(a[i]), Math.abs(b[i]))) {
+                return false;
+            }
+        }
+        return true;
+    }
+};
+
+// 4-component vectors (homogeneous points and RGBA colors)
+const vec4 = {
+    create: function() {
+        return new Float32Array(4);
+    },
+
+    fromValues: function(x, y, z, w) {
+        return new Float32Array([x, y, z, w]);
+    },
+
+    clone: function(a) {
+        return new Float32Array(a);
+    },
+
+    copy: function(out, a) {
+        out[0] = a[0];
+        out[1] = a[1];
+        out[2] = a[2];
+        out[3] = a[3];
+        return out;
+    },
+
+    set: function(out, x, y, z, w) {
+        out[0] = x;
+        out[1] = y;
+        out[2] = z;
+        out[3] = w;
+        return out;
+    },
+
+    add: function(out, a, b) {
+        for (let i = 0; i < 4; i++) {
+            out[i] = a[i] + b[i];
+        }
+        return out;
+    },
+
+    subtract: function(out, a, b) {
+        for (let i = 0; i < 4; i++) {
+            out[i] = a[i] - b[i];
+        }
+        return out;
+    },
+
+    scale: function(out, a, s) {
+        for (let i = 0; i < 4; i++) {
+            out[i] = a[i] * s;
+        }
+        return out;
+    },
+
+    dot: function(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    },
+
+    length: function(a) {
+        return Math.hypot(a[0], a[1], a[2], a[3]);
+    },
+
+    normalize: function(out, a) {
+        const len = Math.hypot(a[0], a[1], a[2], a[3]);
+        const inv = len > 0 ? 1 / len : 0;
+
+        for (let i = 0; i < 4; i++) {
+            out[i] = a[i] * inv;
+        }
+        return out;
+    },
+
+    lerp: function(out, a, b, t) {
+        for (let i = 0; i < 4; i++) {
+            out[i] = a[i] + t * (b[i] - a[i]);
+        }
+        return out;
+    },
+
+    transformMat4: function(out, a, m) {
+        const x = a[0], y = a[1], z = a[2], w = a[3];
+
+        out[0] = m[0] * x + m[4] * y + m[8] * z + m[12] * w;
+        out[1] = m[1] * x + m[5] * y + m[9] * z + m[13] * w;
+        out[2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+        out[3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+        return out;
+    },
+
+    equals: function(a, b, epsilon = MATH_EPSILON) {
+        for (let i = 0; i < 4; i++) {
+            if (Math.abs(a[i] - b[i]) > epsilon * Math.max(1.0, Math.abs(a[i]), Math.abs(b[i]))) {
+                return false;
+            }
+        }
+        return true;
+    }
+};
+
+// Quaternions
+const quat = {
+    create: function() {
+        return new Float32Array([0, 0, 0, 1]);
+    },
+
+    fromValues: function(x, y, z, w) {
+        return new Float32Array([x, y, z, w]);
+    },
+
+    clone: function(a) {
+        return new Float32Array(a);
+    },
+
+    copy: function(out, a) {
+        return vec4.copy(out, a);
+    },
+
+    identity: function(out) {
+        out[0] = 0;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 1;
+        return out;
+    },
+
+    setAxisAngle: function(out, axis, rad) {
+        const s = Math.sin(rad / 2);
+        const n = vec3.normalize([0, 0, 0], axis);
+
+        out[0] = s * n[0];
+        out[1] = s * n[1];
+        out[2] = s * n[2];
+        out[3] = Math.cos(rad / 2);
+        return out;
+    },
+
+    // Rotation from Euler angles applied in the scene graph's order:
+    // the same as rotateX, then rotateY, then rotateZ on a matrix
+    fromEuler: function(out, x, y, z) {
+        const sx = Math.sin(x / 2), cx = Math.cos(x / 2);
+        const sy = Math.sin(y / 2), cy = Math.cos(y / 2);
+        const sz = Math.sin(z / 2), cz = Math.cos(z / 2);
+
+        out[0] = sx * cy * cz + cx * sy * sz;
+        out[1] = cx * sy * cz - sx * cy * sz;
+        out[2] = cx * cy * sz + sx * sy * cz;
+        out[3] = cx * cy * cz - sx * sy * sz;
+        return out;
+    },
+
+    // Euler angles (rotateX, then rotateY, then rotateZ) for a unit quaternion
+    toEuler: function(out, q) {
+        const m = mat4.fromQuat(mat4.create(), q);
+        // In R = Rx * Ry * Rz the third column's first row is sin(y)
+        const sy = Math.max(-1, Math.min(1, m[8]));
+
+        out[1] = Math.asin(sy);
+        if (Math.abs(sy) < 0.9999999) {
+            out[0] = Math.atan2(-m[9], m[10]);
+            out[2] = Math.atan2(-m[4], m[0]);
+        } else {
+            // Gimbal lock: fold all of the remaining turn into X
+            out[0] = Math.atan2(m[6], m[5]);
+            out[2] = 0;
+        }
+        return out;
+    },
+
+    multiply: function(out, a, b) {
+        const ax = a[0], ay = a[1], az = a[2], aw = a[3];
+        const bx = b[0], by = b[1], bz = b[2], bw = b[3];
+
+        out[0] = ax * bw + aw * bx + ay * bz - az * by;
+        out[1] = ay * bw + aw * by + az * bx - ax * bz;
+        out[2] = az * bw + aw * bz + ax * by - ay * bx;
+        out[3] = aw * bw - ax * bx - ay * by - az * bz;
+        return out;
+    },
+
+    conjugate: function(out, a) {
+        out[0] = -a[0];
+        out[1] = -a[1];
+        out[2] = -a[2];
+        out[3] = a[3];
+        return out;
+    },
+
+    invert: function(out, a) {
+        const dot = vec4.dot(a, a);
+        const inv = dot ? 1 / dot : 0;
+
+        out[0] = -a[0] * inv;
+        out[1] = -a[1] * inv;
+        out[2] = -a[2] * inv;
+        out[3] = a[3] * inv;
+        return out;
+    },
+
+    normalize: function(out, a) {
+        return vec4.normalize(out, a);
+    },
+
+    dot: function(a, b) {
+        return vec4.dot(a, b);
+    },
+
+    // Spherical interpolation along the shorter arc
+    slerp: function(out, a, b, t) {
+        const ax = a[0], ay = a[1], az = a[2], aw = a[3];
+        let bx = b[0], by = b[1], bz = b[2], bw = b[3];
+
+        let cosom = ax * bx + ay * by + az * bz + aw * bw;
+        if (cosom < 0) {
+            cosom = -cosom;
+            bx = -bx;
+            by = -by;
+            bz = -bz;
+            bw = -bw;
+        }
+
+        let scale0 = 1 - t;
+        let scale1 = t;
+        if (1 - cosom > MATH_EPSILON) {
+            const omega = Math.acos(cosom);
+            const sinom = Math.sin(omega);
+            scale0 = Math.sin((1 - t) * omega) / sinom;
+            scale1 = Math.sin(t * omega) / sinom;
+        }
+
+        out[0] = scale0 * ax + scale1 * bx;
+        out[1] = scale0 * ay + scale1 * by;
+        out[2] = scale0 * az + scale1 * bz;
+        out[3] = scale0 * aw + scale1 * bw;
+        return out;
+    },
+
+    equals: function(a, b, epsilon = MATH_EPSILON) {
+        // q and -q are the same rotation
+        return Math.abs(vec4.dot(a, b)) >= 1 - epsilon;
+    }
+};
+
+// Let Node load the library without a browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MATH_EPSILON, toRadians, toDegrees, mat4, vec3, vec4, quat };
+}
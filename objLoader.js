@@ -0,0 +1,215 @@
+// Wavefront OBJ / MTL import
+//
+// parseOBJ turns OBJ text into flat position, normal, uv, color and index
+// arrays ready for createMesh. Faces with more than three corners are
+// split into a triangle fan. Every distinct position/uv/normal/material
+// combination becomes its own vertex, since WebGL has a single index per
+// vertex. Vertex colors come from the MTL diffuse color (Kd), or from the
+// common "v x y z r g b" extension when the file has them.
+
+const OBJ_DEFAULT_COLOR = [0.8, 0.8, 0.8, 1.0];
+
+// Parse MTL text into { name: { diffuse, specular, shininess, opacity } }
+function parseMTL(text) {
+    const materials = {};
+    let current = null;
+
+    text.split('\n').forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line || line[0] === '#') {
+            return;
+        }
+        const parts = line.split(/\s+/);
+        const keyword = parts[0];
+        const numbers = parts.slice(1).map(parseFloat);
+
+        if (keyword === 'newmtl') {
+            current = {
+                name: parts.slice(1).join(' '),
+                diffuse: [0.8, 0.8, 0.8],
+                specular: [0.5, 0.5, 0.5],
+                shininess: 32.0,
+                opacity: 1.0,
+            };
+            materials[current.name] = current;
+        } else if (!current) {
+            return;
+        } else if (keyword === 'Kd') {
+            current.diffuse = numbers.slice(0, 3);
+        } else if (keyword === 'Ks') {
+            current.specular = numbers.slice(0, 3);
+        } else if (keyword === 'Ns') {
+            current.shininess = numbers[0];
+        } else if (keyword === 'd') {
+            current.opacity = numbers[0];
+        } else if (keyword === 'Tr') {
+            current.opacity = 1.0 - numbers[0];
+        }
+    });
+
+    return materials;
+}
+
+// Names of the MTL files an OBJ refers to
+function objMaterialLibraries(text) {
+    const libraries = [];
+    text.split('\n').forEach((line) => {
+        const match = /^\s*mtllib\s+(.+?)\s*$/.exec(line);
+        if (match) {
+            libraries.push(match[1]);
+        }
+    });
+    return libraries;
+}
+
+// Parse OBJ text. `materials` is the parsed MTL data (if any).
+function parseOBJ(text, materials = {}) {
+    const sourcePositions = [];
+    const sourceColors = [];
+    const sourceNormals = [];
+    const sourceUvs = [];
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const colors = [];
+    const indices = [];
+    const vertexIndex = new Map();
+    const materialNames = [];
+
+    let missingNormals = false;
+    let currentMaterial = null;
+
+    // OBJ indices are 1-based, negative ones count back from the end
+    const resolve = (value, length) => {
+        const index = parseInt(value, 10);
+        return index < 0 ? length + index : index - 1;
+    };
+
+    function addVertex(corner) {
+        const key = corner + '|' + (currentMaterial ? currentMaterial.name : '');
+        if (vertexIndex.has(key)) {
+            return vertexIndex.get(key);
+        }
+
+        const [p, t, n] = corner.split('/');
+        const pi = resolve(p, sourcePositions.length);
+        if (!sourcePositions[pi]) {
+            throw new Error('OBJ face refers to missing vertex ' + p);
+        }
+        positions.push(...sourcePositions[pi]);
+
+        if (t) {
+            uvs.push(...(sourceUvs[resolve(t, sourceUvs.length)] || [0, 0]));
+        } else {
+            uvs.push(0, 0);
+        }
+
+        const normal = n ? sourceNormals[resolve(n, sourceNormals.length)] : null;
+        if (normal) {
+            normals.push(...normal);
+        } else {
+            normals.push(0, 0, 0);
+            missingNormals = true;
+        }
+
+        if (sourceColors[pi]) {
+            colors.push(...sourceColors[pi], 1.0);
+        } else if (currentMaterial) {
+            colors.push(...currentMaterial.diffuse, currentMaterial.opacity);
+        } else {
+            colors.push(...OBJ_DEFAULT_COLOR);
+        }
+
+        const index = positions.length / 3 - 1;
+        vertexIndex.set(key, index);
+        return index;
+    }
+
+    text.split('\n').forEach((rawLine, lineNumber) => {
+        const line = rawLine.trim();
+        if (!line || line[0] === '#') {
+            return;
+        }
+        const parts = line.split(/\s+/);
+        const keyword = parts[0];
+        const numbers = parts.slice(1).map(parseFloat);
+
+        switch (keyword) {
+        case 'v':
+            sourcePositions.push(numbers.slice(0, 3));
+            sourceColors.push(numbers.length >= 6 ? numbers.slice(3, 6) : null);
+            break;
+        case 'vn':
+            sourceNormals.push(numbers.slice(0, 3));
+            break;
+        case 'vt':
+            sourceUvs.push([numbers[0], numbers[1] || 0]);
+            break;
+        case 'usemtl': {
+            const name = parts.slice(1).join(' ');
+            currentMaterial = materials[name] || null;
+            if (currentMaterial && materialNames.indexOf(name) === -1) {
+                materialNames.push(name);
+            }
+            break;
+        }
+        case 'f': {
+            const corners = parts.slice(1).map(addVertex);
+            if (corners.length < 3) {
+                throw new Error('OBJ line ' + (lineNumber + 1) + ': a face needs at least three corners');
+            }
+            for (let i = 1; i < corners.length - 1; i++) {
+                indices.push(corners[0], corners[i], corners[i + 1]);
+            }
+            break;
+        }
+        default:
+            // Groups, objects, smoothing groups, lines and points are ignored
+            break;
+        }
+    });
+
+    return {
+        positions: positions,
+        // Leave normals out unless every vertex had one, so they get generated
+        normals: missingNormals ? null : normals,
+        uvs: uvs,
+        colors: colors,
+        indices: indices,
+        materials: materialNames.map((name) => materials[name]),
+    };
+}
+
+// Parse an OBJ and the MTL files it names. `readFile` resolves a file
+// name to its text (or null when it can't be found).
+async function loadOBJ(text, readFile) {
+    const materials = {};
+    for (const library of objMaterialLibraries(text)) {
+        const mtl = await readFile(library);
+        if (mtl !== null) {
+            Object.assign(materials, parseMTL(mtl));
+        }
+    }
+    return parseOBJ(text, materials);
+}
+
+// Build a mesh from parsed OBJ data
+function createObjMesh(obj) {
+    return createMesh(obj.positions, obj.colors, obj.indices, {
+        normals: obj.normals,
+        uvs: obj.uvs,
+    });
+}
+
+MESH_LOADERS.obj = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error('Could not load ' + url + ' (HTTP ' + response.status + ')');
+    }
+    const obj = await loadOBJ(await response.text(), async (name) => {
+        const mtlResponse = await fetch(resolveUrl(name, url));
+        return mtlResponse.ok ? mtlResponse.text() : null;
+    });
+    return createObjMesh(obj);
+};
@@ -0,0 +1,124 @@
+// Mouse picking
+//
+// A click is turned into a ray from the camera through the clicked pixel.
+// The ray is moved into each object's local space and tested against the
+// triangles kept on its mesh, and the closest hit wins. Meshes whose
+// bounding sphere the ray misses are passed over without testing their
+// triangles.
+
+const PICK_EPSILON = 1e-7;
+
+// Build a world-space ray through a point on the canvas (CSS pixels)
+function screenToRay(x, y, canvas, projectionMatrix, viewMatrix) {
+    const ndcX = (x / canvas.clientWidth) * 2 - 1;
+    const ndcY = 1 - (y / canvas.clientHeight) * 2;
+
+    const viewProjection = mat4.create();
+    mat4.multiply(viewProjection, projectionMatrix, viewMatrix);
+    const inverse = mat4.create();
+    mat4.invert(inverse, viewProjection);
+
+    const near = vec3.transformMat4(vec3.create(), [ndcX, ndcY, -1], inverse);
+    const far = vec3.transformMat4(vec3.create(), [ndcX, ndcY, 1], inverse);
+    const direction = vec3.subtract(vec3.create(), far, near);
+
+    return {
+        origin: near,
+        direction: vec3.normalize(direction, direction),
+    };
+}
+
+// Moller-Trumbore ray/triangle test. Returns the ray parameter t of the
+// hit, or -1 on a miss. Both sides of the triangle count.
+function intersectRayTriangle(origin, direction, a, b, c) {
+    const e1x = b[0] - a[0], e1y = b[1] - a[1], e1z = b[2] - a[2];
+    const e2x = c[0] - a[0], e2y = c[1] - a[1], e2z = c[2] - a[2];
+
+    const px = direction[1] * e2z - direction[2] * e2y;
+    const py = direction[2] * e2x - direction[0] * e2z;
+    const pz = direction[0] * e2y - direction[1] * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+
+    if (Math.abs(det) < PICK_EPSILON) {
+        return -1;
+    }
+    const invDet = 1 / det;
+
+    const tx = origin[0] - a[0], ty = origin[1] - a[1], tz = origin[2] - a[2];
+    const u = (tx * px + ty * py + tz * pz) * invDet;
+    if (u < 0 || u > 1) {
+        return -1;
+    }
+
+    const qx = ty * e1z - tz * e1y;
+    const qy = tz * e1x - tx * e1z;
+    const qz = tx * e1y - ty * e1x;
+    const v = (direction[0] * qx + direction[1] * qy + direction[2] * qz) * invDet;
+    if (v < 0 || u + v > 1) {
+        return -1;
+    }
+
+    const t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+    return t > PICK_EPSILON ? t : -1;
+}
+
+// Closest hit of a world-space ray against one mesh node, as a world-space
+// distance along the ray, or -1 on a miss
+function intersectNode(node, ray) {
+    const data = node.mesh.data;
+    if (!data) {
+        return -1;
+    }
+
+    const inverseWorld = mat4.create();
+    if (!mat4.invert(inverseWorld, node.worldMatrix)) {
+        return -1;
+    }
+    const origin = vec3.transformMat4(vec3.create(), ray.origin, inverseWorld);
+    const direction = vec3.transformDirection(vec3.create(), ray.direction, inverseWorld);
+
+    // Skip the triangles if the ray misses the mesh's bounding sphere
+    const bounds = meshBounds(node.mesh);
+    if (!rayIntersectsSphere(origin, direction, bounds.center, bounds.radius)) {
+        return -1;
+    }
+
+    const positions = data.positions;
+    const indices = data.indices;
+    const vertex = (i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    let closest = -1;
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const t = intersectRayTriangle(origin, direction,
+            vertex(indices[i]), vertex(indices[i + 1]), vertex(indices[i + 2]));
+        if (t >= 0 && (closest < 0 || t < closest)) {
+            closest = t;
+        }
+    }
+
+    if (closest < 0) {
+        return -1;
+    }
+
+    // The local direction isn't unit length, so measure the hit in world space
+    const hit = vec3.scaleAndAdd(vec3.create(), origin, direction, closest);
+    vec3.transformMat4(hit, hit, node.worldMatrix);
+    return vec3.distance(hit, ray.origin);
+}
+
+// Find the visible node nearest to the camera under a ray
+function pickNode(root, ray) {
+    let best = null;
+
+    traverseScene(root, (node) => {
+        if (!node.mesh) {
+            return;
+        }
+        const distance = intersectNode(node, ray);
+        if (distance >= 0 && (!best || distance < best.distance)) {
+            best = { node: node, distance: distance };
+        }
+    });
+
+    return best;
+}
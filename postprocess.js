@@ -0,0 +1,491 @@
+// Post-processing
+//
+// When any pass is switched on, the scene is drawn into an offscreen render
+// target instead of the canvas, then run through the enabled passes in
+// order. Each pass is a full-screen draw that reads the previous result as
+// a texture; the last one writes to the canvas. With every pass off the
+// scene draws straight to the canvas as before.
+//
+// Passes (POST_PASSES):
+//   outline     outline around the selected object, from a mask of it
+//   bloom       bright areas bleed light into their surroundings
+//   grayscale   desaturate
+//   sepia       old-photo brown tint
+//   vignette    darken towards the corners
+//   fxaa        fast approximate antialiasing, smoothing jagged edges;
+//               the offscreen target has no multisampling of its own
+//
+// A pass's options become uniforms of the same name (threshold sets
+// uThreshold), so adding a pass is a shader plus an entry here.
+
+// Full-screen triangle; every pass shares it
+const postVsSource = `
+    attribute vec2 aPosition;
+
+    varying highp vec2 vTextureCoord;
+
+    void main(void) {
+        vTextureCoord = aPosition * 0.5 + 0.5;
+        gl_Position = vec4(aPosition, 0.0, 1.0);
+    }
+`;
+
+// Header shared by the pass fragment shaders: the image so far and the
+// size of one of its pixels
+const POST_FS_HEADER = `
+    precision mediump float;
+
+    varying highp vec2 vTextureCoord;
+
+    uniform sampler2D uTexture;
+    uniform vec2 uTexelSize;
+
+    const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+`;
+
+const copyFsSource = POST_FS_HEADER + `
+    void main(void) {
+        gl_FragColor = texture2D(uTexture, vTextureCoord);
+    }
+`;
+
+// FXAA: blur along the direction of edges found from the luma of the four
+// diagonal neighbours, keeping the blur only if it stays in their range
+const fxaaFsSource = POST_FS_HEADER + `
+    #define FXAA_REDUCE_MIN (1.0 / 128.0)
+    #define FXAA_REDUCE_MUL (1.0 / 8.0)
+    #define FXAA_SPAN_MAX 8.0
+
+    void main(void) {
+        vec3 rgbNW = texture2D(uTexture, vTextureCoord + vec2(-1.0, -1.0) * uTexelSize).rgb;
+        vec3 rgbNE = texture2D(uTexture, vTextureCoord + vec2(1.0, -1.0) * uTexelSize).rgb;
+        vec3 rgbSW = texture2D(uTexture, vTextureCoord + vec2(-1.0, 1.0) * uTexelSize).rgb;
+        vec3 rgbSE = texture2D(uTexture, vTextureCoord + vec2(1.0, 1.0) * uTexelSize).rgb;
+        vec4 center = texture2D(uTexture, vTextureCoord);
+
+        float lumaNW = dot(rgbNW, LUMA);
+        float lumaNE = dot(rgbNE, LUMA);
+        float lumaSW = dot(rgbSW, LUMA);
+        float lumaSE = dot(rgbSE, LUMA);
+        float lumaM = dot(center.rgb, LUMA);
+        float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+        float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+        vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+        float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * FXAA_REDUCE_MUL, FXAA_REDUCE_MIN);
+        float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+        dir = clamp(dir * rcpDirMin, -FXAA_SPAN_MAX, FXAA_SPAN_MAX) * uTexelSize;
+
+        vec3 rgbA = 0.5 * (
+            texture2D(uTexture, vTextureCoord + dir * (1.0 / 3.0 - 0.5)).rgb +
+            texture2D(uTexture, vTextureCoord + dir * (2.0 / 3.0 - 0.5)).rgb);
+        vec3 rgbB = rgbA * 0.5 + 0.25 * (
+            texture2D(uTexture, vTextureCoord - dir * 0.5).rgb +
+            texture2D(uTexture, vTextureCoord + dir * 0.5).rgb);
+        float lumaB = dot(rgbB, LUMA);
+
+        gl_FragColor = vec4(lumaB < lumaMin || lumaB > lumaMax ? rgbA : rgbB, center.a);
+    }
+`;
+
+// Bloom, step 1: keep only what's brighter than the threshold
+const bloomExtractFsSource = POST_FS_HEADER + `
+    uniform float uThreshold;
+
+    void main(void) {
+        vec3 color = texture2D(uTexture, vTextureCoord).rgb;
+        float brightness = max(color.r, max(color.g, color.b));
+        gl_FragColor = vec4(color * smoothstep(uThreshold, uThreshold + 0.1, brightness), 1.0);
+    }
+`;
+
+// Bloom, step 2: 9-tap gaussian blur along uDirection, run once across
+// and once down
+const blurFsSource = POST_FS_HEADER + `
+    uniform vec2 uDirection;
+
+    void main(void) {
+        vec2 offset = uDirection * uTexelSize;
+        vec3 color = texture2D(uTexture, vTextureCoord).rgb * 0.227027;
+        color += texture2D(uTexture, vTextureCoord + offset * 1.384615).rgb * 0.316216;
+        color += texture2D(uTexture, vTextureCoord - offset * 1.384615).rgb * 0.316216;
+        color += texture2D(uTexture, vTextureCoord + offset * 3.230769).rgb * 0.070270;
+        color += texture2D(uTexture, vTextureCoord - offset * 3.230769).rgb * 0.070270;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// Bloom, step 3: add the blurred highlights back onto the image
+const bloomCombineFsSource = POST_FS_HEADER + `
+    uniform sampler2D uBloom;
+    uniform float uIntensity;
+
+    void main(void) {
+        vec4 color = texture2D(uTexture, vTextureCoord);
+        gl_FragColor = vec4(color.rgb + texture2D(uBloom, vTextureCoord).rgb * uIntensity, color.a);
+    }
+`;
+
+const vignetteFsSource = POST_FS_HEADER + `
+    uniform float uAmount;
+    uniform float uSoftness;
+
+    void main(void) {
+        vec4 color = texture2D(uTexture, vTextureCoord);
+        float radius = length(vTextureCoord - 0.5);
+        float shade = 1.0 - smoothstep(0.75 - uSoftness, 0.75, radius);
+        gl_FragColor = vec4(color.rgb * mix(1.0 - uAmount, 1.0, shade), color.a);
+    }
+`;
+
+const grayscaleFsSource = POST_FS_HEADER + `
+    uniform float uAmount;
+
+    void main(void) {
+        vec4 color = texture2D(uTexture, vTextureCoord);
+        gl_FragColor = vec4(mix(color.rgb, vec3(dot(color.rgb, LUMA)), uAmount), color.a);
+    }
+`;
+
+const sepiaFsSource = POST_FS_HEADER + `
+    uniform float uAmount;
+
+    void main(void) {
+        vec4 color = texture2D(uTexture, vTextureCoord);
+        vec3 sepia = vec3(
+            dot(color.rgb, vec3(0.393, 0.769, 0.189)),
+            dot(color.rgb, vec3(0.349, 0.686, 0.168)),
+            dot(color.rgb, vec3(0.272, 0.534, 0.131)));
+        gl_FragColor = vec4(mix(color.rgb, min(sepia, 1.0), uAmount), color.a);
+    }
+`;
+
+// Paint the outline color just outside the selection mask: pixels that
+// aren't in the mask but have a neighbour within uWidth pixels that is
+const outlineFsSource = POST_FS_HEADER + `
+    uniform sampler2D uMask;
+    uniform vec4 uColor;
+    uniform float uWidth;
+
+    void main(void) {
+        vec4 color = texture2D(uTexture, vTextureCoord);
+        float inside = texture2D(uMask, vTextureCoord).r;
+        float near = 0.0;
+        for (int i = 0; i < 16; i++) {
+            float angle = float(i) * 0.392699;
+            // Two rings, so thin parts of the mask aren't stepped over
+            float radius = i < 8 ? uWidth : uWidth * 0.5;
+            vec2 offset = vec2(cos(angle), sin(angle)) * radius * uTexelSize;
+            near = max(near, texture2D(uMask, vTextureCoord + offset).r);
+        }
+        gl_FragColor = mix(color, vec4(uColor.rgb, 1.0), near * (1.0 - inside) * uColor.a);
+    }
+`;
+
+// Selected objects drawn flat white into the outline's mask
+const maskVsSource = `
+    attribute vec4 aVertexPosition;
+
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uProjectionMatrix;
+
+    void main(void) {
+        gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
+    }
+`;
+
+const maskFsSource = `
+    precision mediump float;
+
+    void main(void) {
+        gl_FragColor = vec4(1.0);
+    }
+`;
+
+Object.assign(SHADER_LIBRARY, {
+    postCopy: { vertex: postVsSource, fragment: copyFsSource },
+    postFxaa: { vertex: postVsSource, fragment: fxaaFsSource },
+    postBloomExtract: { vertex: postVsSource, fragment: bloomExtractFsSource },
+    postBlur: { vertex: postVsSource, fragment: blurFsSource },
+    postBloomCombine: { vertex: postVsSource, fragment: bloomCombineFsSource },
+    postVignette: { vertex: postVsSource, fragment: vignetteFsSource },
+    postGrayscale: { vertex: postVsSource, fragment: grayscaleFsSource },
+    postSepia: { vertex: postVsSource, fragment: sepiaFsSource },
+    postOutline: { vertex: postVsSource, fragment: outlineFsSource },
+    selectionMask: { vertex: maskVsSource, fragment: maskFsSource },
+});
+
+// Pass types: a label for the UI, the options with their slider ranges,
+// and how the pass draws. Simple passes name a shader; the others run.
+const POST_PASSES = {
+    outline: {
+        label: 'Selection outline',
+        shader: 'postOutline',
+        options: {
+            width: { value: 2, min: 1, max: 8, step: 0.5 },
+            color: { value: [1.0, 0.6, 0.0, 1.0], type: 'color' },
+        },
+        run: (post, pass, input, output) => {
+            drawPostPass(post, 'postOutline', pass.options, [input, post.mask], output);
+        },
+    },
+    bloom: {
+        label: 'Bloom',
+        options: {
+            threshold: { value: 0.75, min: 0, max: 1, step: 0.05 },
+            intensity: { value: 0.8, min: 0, max: 2, step: 0.05 },
+            radius: { value: 1, min: 0.5, max: 4, step: 0.25 },
+        },
+        run: (post, pass, input, output) => {
+            // Bright parts at half size, blurred across then down
+            const [bright, blurred] = post.bloomTargets;
+            drawPostPass(post, 'postBloomExtract', pass.options, [input], bright);
+            drawPostPass(post, 'postBlur', { direction: [pass.options.radius, 0] }, [bright], blurred);
+            drawPostPass(post, 'postBlur', { direction: [0, pass.options.radius] }, [blurred], bright);
+            drawPostPass(post, 'postBloomCombine', pass.options, [input, bright], output);
+        },
+    },
+    grayscale: {
+        label: 'Grayscale',
+        shader: 'postGrayscale',
+        options: {
+            amount: { value: 1, min: 0, max: 1, step: 0.05 },
+        },
+    },
+    sepia: {
+        label: 'Sepia',
+        shader: 'postSepia',
+        options: {
+            amount: { value: 1, min: 0, max: 1, step: 0.05 },
+        },
+    },
+    vignette: {
+        label: 'Vignette',
+        shader: 'postVignette',
+        options: {
+            amount: { value: 0.5, min: 0, max: 1, step: 0.05 },
+            softness: { value: 0.45, min: 0.05, max: 0.7, step: 0.05 },
+        },
+    },
+    fxaa: {
+        label: 'FXAA',
+        shader: 'postFxaa',
+        options: {},
+    },
+};
+
+// Passes in their starting order, and whether each starts switched on
+const POST_DEFAULT_CHAIN = [
+    ['outline', true],
+    ['bloom', false],
+    ['grayscale', false],
+    ['sepia', false],
+    ['vignette', false],
+    ['fxaa', true],
+];
+
+// Create a render target: a texture to draw into, with a depth buffer if
+// `depth` is set. Sizes are in pixels and needn't be powers of two.
+function createRenderTarget(gl, width, height, depth = false) {
+    const target = {
+        width: 0,
+        height: 0,
+        texture: gl.createTexture(),
+        depthBuffer: depth ? gl.createRenderbuffer() : null,
+        framebuffer: gl.createFramebuffer(),
+    };
+
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    resizeRenderTarget(gl, target, width, height);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+    if (depth) {
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, target.depthBuffer);
+    }
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error('Render target framebuffer is incomplete (status 0x' + status.toString(16) + ')');
+    }
+    return target;
+}
+
+// Reallocate a render target's storage if its size has changed
+function resizeRenderTarget(gl, target, width, height) {
+    width = Math.max(1, Math.floor(width));
+    height = Math.max(1, Math.floor(height));
+    if (target.width === width && target.height === height) {
+        return;
+    }
+    target.width = width;
+    target.height = height;
+
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    if (target.depthBuffer) {
+        gl.bindRenderbuffer(gl.RENDERBUFFER, target.depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+    }
+}
+
+// Bytes a render target holds on the GPU: an RGBA texture, plus a 16-bit
+// depth buffer if it has one
+function renderTargetBytes(target) {
+    return target.width * target.height * (target.depthBuffer ? 4 + 2 : 4);
+}
+
+function deleteRenderTarget(gl, target) {
+    gl.deleteFramebuffer(target.framebuffer);
+    gl.deleteTexture(target.texture);
+    if (target.depthBuffer) {
+        gl.deleteRenderbuffer(target.depthBuffer);
+    }
+}
+
+// Create the post-processing chain and the targets it draws through.
+// `passes` carries over an existing chain, as when the context is restored.
+function createPostProcessor(gl, cache, passes = null) {
+    const width = gl.drawingBufferWidth;
+    const height = gl.drawingBufferHeight;
+
+    const triangle = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, triangle);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+
+    return {
+        gl: gl,
+        cache: cache,
+        passes: passes || POST_DEFAULT_CHAIN.map(([type, enabled]) => createPostPass(type, enabled)),
+        triangle: triangle,
+        scene: createRenderTarget(gl, width, height, true),
+        // Passes take turns reading one of these and writing the other
+        pingPong: [createRenderTarget(gl, width, height), createRenderTarget(gl, width, height)],
+        bloomTargets: [createRenderTarget(gl, width / 2, height / 2), createRenderTarget(gl, width / 2, height / 2)],
+        mask: createRenderTarget(gl, width, height),
+    };
+}
+
+// A pass of one of the POST_PASSES types with its default options
+function createPostPass(type, enabled = true) {
+    const definition = POST_PASSES[type];
+    if (!definition) {
+        throw new Error('Unknown post-processing pass "' + type + '"');
+    }
+    const options = {};
+    Object.keys(definition.options).forEach((name) => {
+        const value = definition.options[name].value;
+        options[name] = Array.isArray(value) ? value.slice() : value;
+    });
+    return { type: type, enabled: enabled, options: options };
+}
+
+// Move a pass `offset` places along the chain (negative is earlier)
+function movePostPass(post, pass, offset) {
+    const from = post.passes.indexOf(pass);
+    const to = Math.min(Math.max(from + offset, 0), post.passes.length - 1);
+    post.passes.splice(from, 1);
+    post.passes.splice(to, 0, pass);
+}
+
+function postPassesEnabled(post) {
+    return post.passes.some((pass) => pass.enabled);
+}
+
+// Bytes held by every target the chain draws through
+function postProcessorBytes(post) {
+    const targets = [post.scene, post.mask].concat(post.pingPong, post.bloomTargets);
+    return targets.reduce((bytes, target) => bytes + renderTargetBytes(target), 0);
+}
+
+// Point drawing at the offscreen scene target, sized to the canvas, if any
+// pass is on. Returns whether it did; if not the scene goes to the canvas.
+function beginPostProcessing(post) {
+    if (!postPassesEnabled(post)) {
+        return false;
+    }
+    const gl = post.gl;
+    const width = gl.drawingBufferWidth;
+    const height = gl.drawingBufferHeight;
+
+    resizeRenderTarget(gl, post.scene, width, height);
+    post.pingPong.forEach((target) => resizeRenderTarget(gl, target, width, height));
+    post.bloomTargets.forEach((target) => resizeRenderTarget(gl, target, width / 2, height / 2));
+    resizeRenderTarget(gl, post.mask, width, height);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, post.scene.framebuffer);
+    gl.viewport(0, 0, width, height);
+    return true;
+}
+
+// Run the enabled passes over the offscreen scene, the last one drawing to
+// the canvas. `drawMask` draws the selection into the outline's mask; it's
+// only called when the outline pass is on.
+function finishPostProcessing(post, drawMask) {
+    const gl = post.gl;
+    const passes = post.passes.filter((pass) => pass.enabled);
+
+    if (passes.some((pass) => pass.type === 'outline')) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, post.mask.framebuffer);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        // The whole selection outlined, even where other objects hide it
+        gl.disable(gl.DEPTH_TEST);
+        drawMask();
+        gl.enable(gl.DEPTH_TEST);
+    }
+
+    gl.disable(gl.DEPTH_TEST);
+    let input = post.scene;
+    passes.forEach((pass, i) => {
+        const output = i === passes.length - 1 ? null : post.pingPong[i % 2];
+        const definition = POST_PASSES[pass.type];
+        if (definition.run) {
+            definition.run(post, pass, input, output);
+        } else {
+            drawPostPass(post, definition.shader, pass.options, [input], output);
+        }
+        input = output;
+    });
+    gl.enable(gl.DEPTH_TEST);
+
+    // Unbind the targets' textures so the next frame can draw into them
+    [1, 0].forEach((unit) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    });
+}
+
+// One full-screen draw with a pass shader. `inputs` are render targets
+// bound to the shader's samplers in order (uTexture, then uMask or uBloom);
+// `output` is a render target, or null for the canvas.
+function drawPostPass(post, shaderName, options, inputs, output) {
+    const gl = post.gl;
+    const shader = getShader(post.cache, shaderName);
+    const width = output ? output.width : gl.drawingBufferWidth;
+    const height = output ? output.height : gl.drawingBufferHeight;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+    gl.viewport(0, 0, width, height);
+
+    useShader(post.cache, shader);
+    bindAttribute(post.cache, shader, 'position', post.triangle, 2);
+    inputs.forEach((input, unit) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, input.texture);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+
+    setUniforms(post.cache, shader, Object.assign({}, options, {
+        texture: 0,
+        mask: 1,
+        bloom: 1,
+        texelSize: [1 / inputs[0].width, 1 / inputs[0].height],
+    }));
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+}
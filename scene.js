@@ -0,0 +1,99 @@
+// Scene graph
+//
+// Every node keeps its own local translation, rotation (radians, applied
+// X then Y then Z) and scale, plus a color its vertex colors are
+// multiplied by and whether its mesh casts and receives shadows. World
+// matrices are worked out from the root down, so moving a parent carries
+// all of its children along with it.
+
+// Create a scene node
+function createSceneNode(name, options = {}) {
+    const node = {
+        name: name,
+        parent: null,
+        children: [],
+        mesh: options.mesh || null,
+        visible: options.visible !== undefined ? options.visible : true,
+        translation: options.translation ? options.translation.slice() : [0, 0, 0],
+        rotation: options.rotation ? options.rotation.slice() : [0, 0, 0],
+        scale: options.scale ? options.scale.slice() : [1, 1, 1],
+        color: options.color ? options.color.slice() : [1, 1, 1, 1],
+        castShadows: options.castShadows !== undefined ? options.castShadows : true,
+        receiveShadows: options.receiveShadows !== undefined ? options.receiveShadows : true,
+        localMatrix: mat4.create(),
+        worldMatrix: mat4.create(),
+    };
+
+    if (options.children) {
+        options.children.forEach((child) => addChild(node, child));
+    }
+
+    return node;
+}
+
+// Attach a node to a new parent, detaching it from the old one
+function addChild(parent, child) {
+    if (child.parent) {
+        removeChild(child.parent, child);
+    }
+    child.parent = parent;
+    parent.children.push(child);
+    return child;
+}
+
+function removeChild(parent, child) {
+    const index = parent.children.indexOf(child);
+    if (index !== -1) {
+        parent.children.splice(index, 1);
+        child.parent = null;
+    }
+    return child;
+}
+
+// Find the first node with the given name below (and including) a node
+function findNode(node, name) {
+    if (node.name === name) {
+        return node;
+    }
+    for (let i = 0; i < node.children.length; i++) {
+        const found = findNode(node.children[i], name);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+// Build a node's local matrix from its translation, rotation and scale
+function updateLocalMatrix(node) {
+    const m = node.localMatrix;
+    mat4.identity(m);
+    mat4.translate(m, m, node.translation);
+    mat4.rotateX(m, m, node.rotation[0]);
+    mat4.rotateY(m, m, node.rotation[1]);
+    mat4.rotateZ(m, m, node.rotation[2]);
+    mat4.scale(m, m, node.scale);
+    return m;
+}
+
+// Recompute world matrices for a node and everything below it
+function updateWorldMatrices(node, parentWorldMatrix) {
+    updateLocalMatrix(node);
+
+    if (parentWorldMatrix) {
+        mat4.multiply(node.worldMatrix, parentWorldMatrix, node.localMatrix);
+    } else {
+        mat4.copy(node.worldMatrix, node.localMatrix);
+    }
+
+    node.children.forEach((child) => updateWorldMatrices(child, node.worldMatrix));
+}
+
+// Depth-first walk. Hidden nodes and their children are skipped.
+function traverseScene(node, callback) {
+    if (!node.visible) {
+        return;
+    }
+    callback(node);
+    node.children.forEach((child) => traverseScene(child, callback));
+}
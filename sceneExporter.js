@@ -0,0 +1,329 @@
+// Scene export
+//
+// Writes the visible scene as glTF (binary .glb), OBJ or STL. Every mesh is
+// baked into world space with its node's current transform, so animated
+// parts (the crank, the lid, the orbiting octahedron) are exported where
+// they are on screen at that moment. Geometry comes from the CPU-side copy
+// createMesh keeps on each mesh.
+
+// World-space copies of every visible mesh under `root`:
+// [{ name, positions, normals, colors, uvs, indices, material }]
+function bakeSceneMeshes(root) {
+    updateWorldMatrices(root, mat4.create());
+    const baked = [];
+
+    traverseScene(root, (node) => {
+        if (!node.mesh || !node.mesh.data || !node.mesh.data.normals) {
+            return;
+        }
+        const data = node.mesh.data;
+        const world = node.worldMatrix;
+        const normalMatrix = mat4.create();
+        mat4.transpose(normalMatrix, mat4.invert(normalMatrix, world) || mat4.create());
+
+        const positions = [];
+        const normals = [];
+        const point = vec3.create();
+        for (let i = 0; i < data.positions.length; i += 3) {
+            vec3.transformMat4(point, [data.positions[i], data.positions[i + 1], data.positions[i + 2]], world);
+            positions.push(point[0], point[1], point[2]);
+            vec3.transformDirection(point, [data.normals[i], data.normals[i + 1], data.normals[i + 2]], normalMatrix);
+            vec3.normalize(point, point);
+            normals.push(point[0], point[1], point[2]);
+        }
+
+        // A mirroring transform turns triangles inside out, so flip them back
+        const indices = Array.from(data.indices);
+        if (mat4.determinant(world) < 0) {
+            for (let i = 0; i < indices.length; i += 3) {
+                const swap = indices[i + 1];
+                indices[i + 1] = indices[i + 2];
+                indices[i + 2] = swap;
+            }
+        }
+
+        baked.push({
+            name: node.name || 'mesh',
+            positions: positions,
+            normals: normals,
+            colors: Array.from(data.colors),
+            uvs: data.uvs ? Array.from(data.uvs) : null,
+            indices: indices,
+            material: node.material || DEFAULT_MATERIAL,
+        });
+    });
+
+    return baked;
+}
+
+// Wavefront OBJ with per-vertex colors ("v x y z r g b") and normals
+function exportOBJ(root) {
+    const format = (v) => String(Math.round(v * 1e6) / 1e6);
+    const lines = ['# Exported scene'];
+    let offset = 1;
+
+    bakeSceneMeshes(root).forEach((mesh) => {
+        const vertexCount = mesh.positions.length / 3;
+        lines.push('o ' + mesh.name.replace(/\s+/g, '_'));
+
+        for (let i = 0; i < vertexCount; i++) {
+            const position = mesh.positions.slice(i * 3, i * 3 + 3);
+            const color = mesh.colors.slice(i * 4, i * 4 + 3);
+            lines.push('v ' + position.concat(color).map(format).join(' '));
+        }
+        for (let i = 0; i < vertexCount; i++) {
+            lines.push('vn ' + mesh.normals.slice(i * 3, i * 3 + 3).map(format).join(' '));
+        }
+        if (mesh.uvs) {
+            for (let i = 0; i < vertexCount; i++) {
+                lines.push('vt ' + mesh.uvs.slice(i * 2, i * 2 + 2).map(format).join(' '));
+            }
+        }
+
+        for (let i = 0; i < mesh.indices.length; i += 3) {
+            const corners = [0, 1, 2].map((c) => {
+                const index = mesh.indices[i + c] + offset;
+                return mesh.uvs ? index + '/' + index + '/' + index : index + '//' + index;
+            });
+            lines.push('f ' + corners.join(' '));
+        }
+
+        offset += vertexCount;
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Binary STL: a facet normal and three corners per triangle
+function exportSTL(root) {
+    const meshes = bakeSceneMeshes(root);
+    const triangleCount = meshes.reduce((count, mesh) => count + mesh.indices.length / 3, 0);
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+
+    const header = 'Exported scene';
+    for (let i = 0; i < header.length; i++) {
+        view.setUint8(i, header.charCodeAt(i));
+    }
+    view.setUint32(80, triangleCount, true);
+
+    let offset = 84;
+    const corner = (mesh, index) => mesh.positions.slice(index * 3, index * 3 + 3);
+    const writeVector = (v) => {
+        for (let c = 0; c < 3; c++) {
+            view.setFloat32(offset, v[c], true);
+            offset += 4;
+        }
+    };
+
+    meshes.forEach((mesh) => {
+        for (let i = 0; i < mesh.indices.length; i += 3) {
+            const a = corner(mesh, mesh.indices[i]);
+            const b = corner(mesh, mesh.indices[i + 1]);
+            const c = corner(mesh, mesh.indices[i + 2]);
+            const normal = vec3.cross(vec3.create(), vec3.subtract(vec3.create(), b, a), vec3.subtract(vec3.create(), c, a));
+            writeVector(vec3.normalize(normal, normal));
+            writeVector(a);
+            writeVector(b);
+            writeVector(c);
+            offset += 2; // attribute byte count
+        }
+    });
+
+    return buffer;
+}
+
+// glTF sampler settings for the texture manager's wrap modes and filters
+const GLTF_WRAP_MODES = { repeat: 10497, clamp: 33071, mirror: 33648 };
+const GLTF_FILTERS = {
+    nearest: { magFilter: 9728, minFilter: 9728 },
+    linear: { magFilter: 9729, minFilter: 9729 },
+    bilinear: { magFilter: 9729, minFilter: 9985 },
+    trilinear: { magFilter: 9729, minFilter: 9987 },
+};
+
+// PNG bytes of a texture's source, an image or { width, height, data }
+function encodeTexturePNG(source) {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const context = canvas.getContext('2d');
+    if (source.data) {
+        const pixels = context.createImageData(source.width, source.height);
+        pixels.data.set(source.data);
+        context.putImageData(pixels, 0, 0);
+    } else {
+        context.drawImage(source, 0, 0);
+    }
+
+    const base64 = canvas.toDataURL('image/png').split(',')[1];
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// glTF 2.0 binary (.glb). Each mesh becomes a node with an identity
+// transform. Lit-shader materials are mapped back to metallic-roughness by
+// inverting what the glTF importer does: metallic from how close the
+// specular color comes to the material color, roughness from shininess.
+// Textures are embedded as PNG images. Node colors, which the scene
+// multiplies into a mesh's vertex colors, are not exported.
+function exportGLB(root) {
+    const gltf = {
+        asset: { version: '2.0', generator: 'WebGL Multi-Object Scene' },
+        scene: 0,
+        scenes: [{ nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        textures: [],
+        images: [],
+        samplers: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: [],
+    };
+    const chunks = [];
+    let byteLength = 0;
+    const materialIndex = new Map();
+    const textureIndex = new Map();
+
+    // Append typed data to the binary chunk as a buffer view
+    const addBufferView = (array, target) => {
+        const bufferView = { buffer: 0, byteOffset: byteLength, byteLength: array.byteLength };
+        if (target) {
+            bufferView.target = target;
+        }
+        gltf.bufferViews.push(bufferView);
+
+        chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        byteLength += array.byteLength;
+        const padding = (4 - byteLength % 4) % 4;
+        chunks.push(new Uint8Array(padding));
+        byteLength += padding;
+        return gltf.bufferViews.length - 1;
+    };
+
+    // Append typed data as a buffer view plus an accessor over it
+    const addAccessor = (array, componentType, type, count, target, bounds) => {
+        const accessor = { bufferView: addBufferView(array, target), componentType: componentType, count: count, type: type };
+        if (bounds) {
+            accessor.min = bounds.min;
+            accessor.max = bounds.max;
+        }
+        gltf.accessors.push(accessor);
+        return gltf.accessors.length - 1;
+    };
+
+    // A texture manager entry as an embedded image with its sampler
+    const addTexture = (texture) => {
+        if (!textureIndex.has(texture)) {
+            const options = texture.options || {};
+            gltf.images.push({ bufferView: addBufferView(encodeTexturePNG(texture.source)), mimeType: 'image/png' });
+            const wrap = GLTF_WRAP_MODES[options.wrap || 'repeat'];
+            gltf.samplers.push(Object.assign({ wrapS: wrap, wrapT: wrap }, GLTF_FILTERS[options.filter || 'trilinear']));
+            gltf.textures.push({ source: gltf.images.length - 1, sampler: gltf.samplers.length - 1 });
+            textureIndex.set(texture, gltf.textures.length - 1);
+        }
+        return textureIndex.get(texture);
+    };
+
+    const addMaterial = (material) => {
+        if (!materialIndex.has(material)) {
+            const baseColor = material.color || [1, 1, 1, 1];
+            const shininess = Math.min(Math.max(material.shininess, 2), 128);
+            // The importer sets specular = 0.04 + (baseColor - 0.04) * metallic
+            const average = (color) => (color[0] + color[1] + color[2]) / 3;
+            const specular = material.specular || [0, 0, 0];
+            const reach = average(baseColor) - 0.04;
+            const metallic = reach > 0 ? Math.min(Math.max((average(specular) - 0.04) / reach, 0), 1) : 0;
+
+            const pbr = {
+                baseColorFactor: baseColor.slice(),
+                metallicFactor: metallic,
+                roughnessFactor: 1 - Math.sqrt((shininess - 2) / 126),
+            };
+            if (material.texture && material.texture.source && material.shader === 'textured') {
+                pbr.baseColorTexture = { index: addTexture(material.texture) };
+            }
+            gltf.materials.push({ name: material.name, pbrMetallicRoughness: pbr });
+            materialIndex.set(material, gltf.materials.length - 1);
+        }
+        return materialIndex.get(material);
+    };
+
+    bakeSceneMeshes(root).forEach((mesh) => {
+        const vertexCount = mesh.positions.length / 3;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < mesh.positions.length; i += 3) {
+            vec3.min(min, min, mesh.positions.slice(i, i + 3));
+            vec3.max(max, max, mesh.positions.slice(i, i + 3));
+        }
+
+        const attributes = {
+            POSITION: addAccessor(new Float32Array(mesh.positions), 5126, 'VEC3', vertexCount, 34962, { min: min, max: max }),
+            NORMAL: addAccessor(new Float32Array(mesh.normals), 5126, 'VEC3', vertexCount, 34962),
+            COLOR_0: addAccessor(new Float32Array(mesh.colors), 5126, 'VEC4', vertexCount, 34962),
+        };
+        if (mesh.uvs) {
+            attributes.TEXCOORD_0 = addAccessor(new Float32Array(mesh.uvs), 5126, 'VEC2', vertexCount, 34962);
+        }
+        const indices = vertexCount > 65535 ?
+            addAccessor(new Uint32Array(mesh.indices), 5125, 'SCALAR', mesh.indices.length, 34963) :
+            addAccessor(new Uint16Array(mesh.indices), 5123, 'SCALAR', mesh.indices.length, 34963);
+
+        gltf.meshes.push({
+            name: mesh.name,
+            primitives: [{ attributes: attributes, indices: indices, material: addMaterial(mesh.material) }],
+        });
+        gltf.nodes.push({ name: mesh.name, mesh: gltf.meshes.length - 1 });
+        gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+    });
+
+    ['textures', 'images', 'samplers'].forEach((key) => {
+        if (!gltf[key].length) {
+            delete gltf[key];
+        }
+    });
+    if (byteLength > 0) {
+        gltf.buffers.push({ byteLength: byteLength });
+    } else {
+        delete gltf.buffers;
+        delete gltf.bufferViews;
+        delete gltf.accessors;
+    }
+
+    // GLB container: header, JSON chunk padded with spaces, BIN chunk
+    let json = new TextEncoder().encode(JSON.stringify(gltf));
+    const jsonPadding = (4 - json.length % 4) % 4;
+    const paddedJson = new Uint8Array(json.length + jsonPadding).fill(0x20);
+    paddedJson.set(json);
+    json = paddedJson;
+
+    const totalLength = 12 + 8 + json.length + (byteLength > 0 ? 8 + byteLength : 0);
+    const glb = new Uint8Array(totalLength);
+    const view = new DataView(glb.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+    view.setUint32(12, json.length, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    glb.set(json, 20);
+
+    if (byteLength > 0) {
+        let offset = 20 + json.length;
+        view.setUint32(offset, byteLength, true);
+        view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+        offset += 8;
+        chunks.forEach((chunk) => {
+            glb.set(chunk, offset);
+            offset += chunk.length;
+        });
+    }
+
+    return glb.buffer;
+}
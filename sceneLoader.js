@@ -0,0 +1,440 @@
+// Scene files
+//
+// A scene file is JSON describing everything drawn on screen:
+//
+//   meshes      id -> { "primitive": "<name>" } for built-in shapes, or
+//               { "url": "<file>" } for a mesh file (loaded by extension)
+//   textures    id -> { "procedural": "<pattern>", ...pattern options } or
+//               { "url": "<image>" }, either with "wrap" and "filter"
+//   materials   id -> { "shader": "<name>", "specular": [r, g, b],
+//               "shininess": n, "color": [r, g, b, a],
+//               "texture": "<texture id>" }; the shader is one of
+//               MATERIAL_SHADERS and defaults to "textured" for textured
+//               materials and "lit" for the rest
+//   nodes       the hierarchy: name, mesh, material, translation,
+//               rotation (degrees), scale, color ([r, g, b, a], multiplies
+//               the vertex colors), visible, castShadows, receiveShadows
+//               and children. A node with "model": "<file.gltf|glb>"
+//               gets the glTF asset's nodes as its children and plays its
+//               animation clips.
+//   camera      target, distance, pitch/yaw/roll (degrees), pan, fieldOfView
+//   lights      ambient plus a list of directional and point lights;
+//               lights with "castShadows" get a shadow map
+//   timeline    duration (seconds), loop and speed of animation playback
+//   animations  keyframe tracks and behaviours that move nodes each frame
+//               (see SCENE_ANIMATIONS and timeline.js)
+//
+// Relative URLs are resolved against the scene file's own location.
+
+const SCENE_FORMAT_VERSION = 1;
+
+// Node properties a keyframe track can animate
+const KEYFRAME_PROPERTIES = ['translation', 'rotation', 'scale', 'color'];
+
+const DEFAULT_MATERIAL = {
+    name: 'default',
+    shader: 'lit',
+    color: [1, 1, 1, 1],
+    specular: [0.5, 0.5, 0.5],
+    shininess: 32.0,
+};
+
+// Mesh file loaders by file extension. Each takes a URL and resolves to a
+// mesh built with createMesh.
+const MESH_LOADERS = {
+    json: async (url) => {
+        const data = await fetchJson(url);
+        const colors = data.colors || new Array(data.positions.length / 3 * 4).fill(1.0);
+        return createMesh(data.positions, colors, data.indices);
+    },
+};
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error('Could not load ' + url + ' (HTTP ' + response.status + ')');
+    }
+    return response.json();
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!baseUrl || /^([a-z]+:|\/)/i.test(url)) {
+        return url;
+    }
+    return baseUrl.replace(/[^/]*$/, '') + url;
+}
+
+function fileExtension(url) {
+    const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+    return match ? match[1].toLowerCase() : '';
+}
+
+// Fetch and build a scene file
+async function loadSceneFile(url) {
+    const description = await fetchJson(url);
+    return buildScene(description, url);
+}
+
+// Build meshes, materials and the node hierarchy from a scene description
+async function buildScene(description, baseUrl) {
+    if (description.version !== undefined && description.version > SCENE_FORMAT_VERSION) {
+        throw new Error('Scene format version ' + description.version + ' is newer than this viewer supports');
+    }
+    // The camera and lights are applied once the scene has replaced the last
+    // one, too late to back out, so they're checked first
+    checkSceneCamera(description.camera || {});
+    if (description.lights) {
+        checkSceneLights(description.lights);
+    }
+
+    const scene = {
+        meshes: {},
+        textures: {},
+        materials: {},
+        animations: (description.animations || []).map(buildSceneAnimation),
+        timeline: description.timeline || {},
+        camera: description.camera || {},
+        lights: description.lights || null,
+        models: [],
+        root: null,
+    };
+
+    // Anything uploaded before a bad entry is found is freed again
+    try {
+        // Meshes
+        const meshIds = Object.keys(description.meshes || {});
+        for (const id of meshIds) {
+            const source = description.meshes[id];
+            scene.meshes[id] = {
+                source: source,
+                mesh: await buildSceneMesh(id, source, baseUrl),
+            };
+        }
+
+        // Textures
+        for (const id of Object.keys(description.textures || {})) {
+            const source = description.textures[id];
+            scene.textures[id] = {
+                source: source,
+                texture: await buildSceneTexture(id, source, baseUrl),
+            };
+        }
+
+        // Materials
+        Object.keys(description.materials || {}).forEach((id) => {
+            const source = description.materials[id];
+            if (source.texture && !scene.textures[source.texture]) {
+                throw new Error('Material "' + id + '" uses unknown texture "' + source.texture + '"');
+            }
+            if (source.shader && MATERIAL_SHADERS.indexOf(source.shader) === -1) {
+                throw new Error('Material "' + id + '" uses unknown shader "' + source.shader + '"');
+            }
+            scene.materials[id] = {
+                name: id,
+                shader: source.shader || defaultShader(source.texture),
+                color: source.color || DEFAULT_MATERIAL.color,
+                specular: source.specular || DEFAULT_MATERIAL.specular,
+                shininess: source.shininess !== undefined ? source.shininess : DEFAULT_MATERIAL.shininess,
+                texture: source.texture ? scene.textures[source.texture].texture : null,
+                textureId: source.texture || null,
+            };
+        });
+
+        scene.root = createSceneNode('root');
+        for (const node of description.nodes || []) {
+            addChild(scene.root, await buildSceneNode(node, scene, baseUrl));
+        }
+        checkAnimationNodes(scene);
+    } catch (error) {
+        disposeScene(scene);
+        throw error;
+    }
+
+    return scene;
+}
+
+// Copy an animation entry, checking keyframe tracks and sorting their keys
+function buildSceneAnimation(source) {
+    if (!SCENE_ANIMATIONS[source.type]) {
+        throw new Error('Unknown animation type "' + source.type + '"');
+    }
+    const animation = Object.assign({}, source);
+    if (animation.type !== 'keyframes') {
+        return animation;
+    }
+
+    if (KEYFRAME_PROPERTIES.indexOf(animation.property) === -1) {
+        throw new Error('Keyframe track on "' + animation.node + '" animates unknown property "' + animation.property + '"');
+    }
+    if (!animation.keyframes || !animation.keyframes.length) {
+        throw new Error('Keyframe track on "' + animation.node + '" has no keyframes');
+    }
+    animation.keyframes = animation.keyframes
+        .map((keyframe) => Object.assign({}, keyframe))
+        .sort((a, b) => a.time - b.time);
+
+    return animation;
+}
+
+// Make sure every node an animation moves is in the scene, so a typo
+// fails the load rather than the first frame
+function checkAnimationNodes(scene) {
+    scene.animations.forEach((animation) => {
+        SCENE_ANIMATION_NODES[animation.type].forEach((field) => {
+            if (!findNode(scene.root, animation[field])) {
+                throw new Error('Animation "' + animation.type + '" refers to missing node "' + animation[field] + '"');
+            }
+        });
+    });
+}
+
+// Shader a material gets when its scene file entry doesn't name one
+function defaultShader(textureId) {
+    return textureId ? 'textured' : DEFAULT_MATERIAL.shader;
+}
+
+function buildSceneTexture(id, source, baseUrl) {
+    const options = Object.assign({}, source);
+    delete options.procedural;
+    delete options.url;
+
+    if (source.procedural) {
+        return proceduralTexture(textureManager, source.procedural, options);
+    }
+    if (source.url) {
+        return loadTexture(textureManager, resolveUrl(source.url, baseUrl), options);
+    }
+    throw new Error('Texture "' + id + '" needs a "procedural" pattern or a "url"');
+}
+
+async function buildSceneMesh(id, source, baseUrl) {
+    if (source.primitive) {
+        const build = PRIMITIVE_MESHES[source.primitive];
+        if (!build) {
+            throw new Error('Mesh "' + id + '" uses unknown primitive "' + source.primitive + '"');
+        }
+        return build(source);
+    }
+
+    if (source.url) {
+        const url = resolveUrl(source.url, baseUrl);
+        const loader = MESH_LOADERS[fileExtension(url)];
+        if (!loader) {
+            throw new Error('Mesh "' + id + '": no loader for ' + url);
+        }
+        return loader(url);
+    }
+
+    throw new Error('Mesh "' + id + '" needs a "primitive" or a "url"');
+}
+
+async function buildSceneNode(source, scene, baseUrl) {
+    if (source.mesh && !scene.meshes[source.mesh]) {
+        throw new Error('Node "' + source.name + '" uses unknown mesh "' + source.mesh + '"');
+    }
+    if (source.material && !scene.materials[source.material]) {
+        throw new Error('Node "' + source.name + '" uses unknown material "' + source.material + '"');
+    }
+
+    const node = createSceneNode(source.name || '', {
+        mesh: source.mesh ? scene.meshes[source.mesh].mesh : null,
+        visible: source.visible,
+        translation: source.translation,
+        rotation: source.rotation ? source.rotation.map(toRadians) : undefined,
+        scale: source.scale,
+        color: source.color,
+        castShadows: source.castShadows,
+        receiveShadows: source.receiveShadows,
+    });
+    node.meshId = source.mesh || null;
+    node.material = source.material ? scene.materials[source.material] : null;
+
+    if (source.model) {
+        const url = resolveUrl(source.model, baseUrl);
+        if (['gltf', 'glb'].indexOf(fileExtension(url)) === -1) {
+            throw new Error('Node "' + source.name + '": models must be .gltf or .glb files');
+        }
+        addSceneModel(scene, node, source.model, await loadGLTFUrl(url));
+    }
+
+    for (const child of source.children || []) {
+        addChild(node, await buildSceneNode(child, scene, baseUrl));
+    }
+
+    return node;
+}
+
+// Hang a loaded glTF asset's nodes under `node` and register its meshes
+// and clips with the scene. `source` is the model's URL as saved in the
+// scene file; the asset's own nodes are not saved.
+function addSceneModel(scene, node, source, model) {
+    node.model = source;
+    model.root.children.slice().forEach((child) => {
+        addChild(node, child);
+        traverseModel(child, (modelNode) => {
+            modelNode.fromModel = true;
+        });
+    });
+    scene.models.push({ node: node, meshes: model.meshes, clips: model.clips });
+}
+
+// Visit every node under `node`, hidden ones included
+function traverseModel(node, callback) {
+    callback(node);
+    node.children.forEach((child) => traverseModel(child, callback));
+}
+
+// Free the GPU buffers of every mesh in a scene and let go of its textures
+function disposeScene(scene) {
+    Object.keys(scene.meshes).forEach((id) => deleteMesh(scene.meshes[id].mesh));
+    Object.keys(scene.textures).forEach((id) => releaseTexture(textureManager, scene.textures[id].texture));
+    scene.models.forEach((model) => model.meshes.forEach((built) => deleteMesh(built.mesh)));
+}
+
+// Describe the live scene in the scene file format
+function serializeScene(scene, camera, timeline) {
+    const round = (v) => Math.round(v * 10000) / 10000;
+    const roundAll = (values) => Array.from(values, round);
+
+    const serializeNode = (node) => {
+        const out = { name: node.name };
+        if (node.meshId) {
+            out.mesh = node.meshId;
+        }
+        if (node.material) {
+            out.material = node.material.name;
+        }
+        if (node.model) {
+            out.model = node.model;
+        }
+        out.translation = roundAll(node.translation);
+        out.rotation = roundAll(node.rotation.map(toDegrees));
+        out.scale = roundAll(node.scale);
+        if (node.color.some((c) => c !== 1)) {
+            out.color = roundAll(node.color);
+        }
+        if (!node.visible) {
+            out.visible = false;
+        }
+        if (!node.castShadows) {
+            out.castShadows = false;
+        }
+        if (!node.receiveShadows) {
+            out.receiveShadows = false;
+        }
+        const children = node.children.filter((child) => !child.fromModel);
+        if (children.length) {
+            out.children = children.map(serializeNode);
+        }
+        return out;
+    };
+
+    const meshes = {};
+    Object.keys(scene.meshes).forEach((id) => {
+        meshes[id] = scene.meshes[id].source;
+    });
+
+    const textures = {};
+    Object.keys(scene.textures).forEach((id) => {
+        textures[id] = scene.textures[id].source;
+    });
+
+    const materials = {};
+    Object.keys(scene.materials).forEach((id) => {
+        const material = scene.materials[id];
+        materials[id] = { specular: material.specular, shininess: material.shininess };
+        if (material.shader !== defaultShader(material.textureId)) {
+            materials[id].shader = material.shader;
+        }
+        if (material.color && material.color.some((c) => c !== 1)) {
+            materials[id].color = material.color;
+        }
+        if (material.textureId) {
+            materials[id].texture = material.textureId;
+        }
+    });
+
+    return {
+        version: SCENE_FORMAT_VERSION,
+        meshes: meshes,
+        textures: textures,
+        materials: materials,
+        camera: {
+            target: roundAll(camera.target),
+            distance: round(camera.distance),
+            pitch: round(toDegrees(camera.pitch)),
+            yaw: round(toDegrees(camera.yaw)),
+            roll: round(toDegrees(camera.roll)),
+            pan: roundAll(camera.pan),
+            fieldOfView: round(toDegrees(camera.fieldOfView)),
+        },
+        lights: {
+            ambient: { color: ambientLight.color, intensity: ambientLight.intensity },
+            lights: lights.map((light) => Object.assign({}, light)),
+        },
+        nodes: scene.root.children.map(serializeNode),
+        timeline: {
+            duration: round(timeline.duration),
+            loop: timeline.loop,
+            speed: timeline.speed,
+        },
+        animations: scene.animations,
+    };
+}
+
+// Camera settings from a scene file become the camera's reset position
+function applySceneCamera(camera, settings) {
+    const defaults = camera.defaults;
+    defaults.target = settings.target ? settings.target.slice() : [0, 0, 0];
+    defaults.distance = settings.distance || 8.0;
+    defaults.pitch = toRadians(settings.pitch || 0);
+    defaults.yaw = toRadians(settings.yaw || 0);
+    defaults.roll = toRadians(settings.roll || 0);
+    defaults.pan = settings.pan ? settings.pan.slice() : [0, 0];
+    if (settings.fieldOfView) {
+        camera.fieldOfView = toRadians(settings.fieldOfView);
+    }
+    resetCamera(camera);
+}
+
+// Check that applySceneCamera can take a scene file's camera settings
+function checkSceneCamera(settings) {
+    [['target', 3], ['pan', 2]].forEach(([name, length]) => {
+        const value = settings[name];
+        if (value !== undefined && !(Array.isArray(value) && value.length === length)) {
+            throw new Error('Camera ' + name + ' must be a list of ' + length + ' numbers');
+        }
+    });
+}
+
+// Check that applySceneLights can take a scene file's lights: known types,
+// and no more of each than the lit shaders have room for
+function checkSceneLights(settings) {
+    const limits = { directional: MAX_DIRECTIONAL_LIGHTS, point: MAX_POINT_LIGHTS };
+    const counts = { directional: 0, point: 0 };
+    (settings.lights || []).forEach((light) => {
+        if (!limits[light.type]) {
+            throw new Error('Unknown light type "' + light.type + '"');
+        }
+        if (++counts[light.type] > limits[light.type]) {
+            throw new Error('At most ' + limits[light.type] + ' ' + light.type + ' lights are supported');
+        }
+    });
+}
+
+// Replace the current lights with the ones from a scene file
+function applySceneLights(settings) {
+    clearLights();
+    if (settings.ambient) {
+        setAmbientLight(settings.ambient.color || [1, 1, 1], settings.ambient.intensity);
+    }
+    (settings.lights || []).forEach((light) => {
+        if (light.type === 'directional') {
+            addDirectionalLight(light);
+        } else if (light.type === 'point') {
+            addPointLight(light);
+        } else {
+            throw new Error('Unknown light type "' + light.type + '"');
+        }
+    });
+}
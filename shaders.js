@@ -0,0 +1,699 @@
+// Shaders
+//
+// Every material names one of the SHADER_LIBRARY shaders:
+//
+//   unlit       vertex colors as they are, without lighting
+//   lit         vertex colors with ambient, diffuse and specular light
+//   textured    lit, with the material's texture multiplied in
+//   wireframe   the mesh's triangle edges as lines, unlit
+//   normals     view-space normals as colors, for checking geometry
+//
+// `lines` draws line meshes such as the gizmo handles and `shadowDepth`
+// fills shadow maps (see shadows.js); neither is meant for materials.
+//
+// The shader cache compiles each program the first time it's asked for.
+// Attribute and uniform locations are read back from the linked program,
+// so a shader only declares what it uses. Names lose their a/u prefix and
+// are camel-cased: uModelViewMatrix becomes modelViewMatrix. Inputs a
+// shader doesn't use are optimized away by the compiler and never looked
+// up, and setUniforms skips values a shader has no uniform for.
+//
+// The cache also tracks what's bound (program, vertex array, attribute
+// pointers, index buffer, uniform values) so setting something to what it
+// already is costs no GL call. Vertex array objects and instancing come
+// from WebGL2 or, on WebGL1, extensions (see capabilities.js); without them
+// attributes are bound one by one and nodes drawn one at a time.
+//
+// Sources are GLSL ES 1.00. On WebGL2 a prelude turns them into GLSL ES
+// 3.00 (see shaderPrelude), so one source serves both versions.
+
+// Shared by every mesh shader; the compiler drops whatever a fragment
+// shader doesn't read. USE_INSTANCING takes the model matrix, normal
+// matrix and node color per instance, leaving the view's part in the
+// uniforms.
+const meshVsSource = `
+    attribute vec4 aVertexPosition;
+    attribute vec4 aVertexColor;
+    attribute vec3 aVertexNormal;
+    attribute vec2 aTextureCoord;
+
+    #ifdef USE_INSTANCING
+    attribute mat4 aInstanceMatrix;
+    attribute mat3 aInstanceNormalMatrix;
+    attribute vec4 aInstanceColor;
+    #endif
+
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uProjectionMatrix;
+    uniform mat4 uNormalMatrix;
+    uniform vec4 uNodeColor;
+    uniform vec4 uMaterialColor;
+
+    varying lowp vec4 vColor;
+    varying highp vec3 vNormal;
+    varying highp vec3 vViewPosition;
+    varying highp vec2 vTextureCoord;
+
+    void main(void) {
+        #ifdef USE_INSTANCING
+        vec4 viewPosition = uModelViewMatrix * aInstanceMatrix * aVertexPosition;
+        vec3 normal = aInstanceNormalMatrix * aVertexNormal;
+        vec4 nodeColor = aInstanceColor;
+        #else
+        vec4 viewPosition = uModelViewMatrix * aVertexPosition;
+        vec3 normal = aVertexNormal;
+        vec4 nodeColor = uNodeColor;
+        #endif
+
+        gl_Position = uProjectionMatrix * viewPosition;
+        vViewPosition = viewPosition.xyz;
+        vNormal = (uNormalMatrix * vec4(normal, 0.0)).xyz;
+        vColor = aVertexColor * nodeColor * uMaterialColor;
+        vTextureCoord = aTextureCoord;
+    }
+`;
+
+// Vertex colors only
+const unlitFsSource = `
+    precision mediump float;
+
+    varying lowp vec4 vColor;
+
+    // Selection tint: rgb is the tint color, a is how strongly to apply it
+    uniform vec4 uHighlight;
+
+    void main(void) {
+        gl_FragColor = vec4(mix(vColor.rgb, uHighlight.rgb, uHighlight.a), vColor.a);
+    }
+`;
+
+// Lines of litFsSource's shadowFactor that sample the shadow map at
+// `index`, one constant index at a time
+function shadowMapBranches() {
+    const branches = [];
+    for (let i = 0; i < MAX_SHADOW_MAPS; i++) {
+        branches.push('if (index == ' + i + ') {\n' +
+            '            return sampleShadow(uShadowMaps[' + i + '], uShadowViewMatrices[' + i + '], ' +
+            'uShadowProjections[' + i + '], uShadowRanges[' + i + '], bias);\n' +
+            '        }');
+    }
+    return branches.join('\n        ');
+}
+
+// Ambient + diffuse + specular, in view space, with shadows from the
+// lights that cast them. USE_TEXTURE multiplies the material's texture
+// into the vertex colors.
+const litFsSource = () => `
+    precision highp float;
+
+    #define MAX_DIRECTIONAL_LIGHTS ${MAX_DIRECTIONAL_LIGHTS}
+    #define MAX_POINT_LIGHTS ${MAX_POINT_LIGHTS}
+    #define MAX_SHADOW_MAPS ${MAX_SHADOW_MAPS}
+    #define SHADOW_MAP_SIZE ${SHADOW_MAP_SIZE.toFixed(1)}
+
+    varying lowp vec4 vColor;
+    varying highp vec3 vNormal;
+    varying highp vec3 vViewPosition;
+    varying highp vec2 vTextureCoord;
+
+    #ifdef USE_TEXTURE
+    // The material's texture, or plain white when textures are off
+    uniform sampler2D uTexture;
+    #endif
+
+    uniform vec3 uAmbientLight;
+
+    uniform int uDirectionalLightCount;
+    uniform vec3 uDirectionalLightDirections[MAX_DIRECTIONAL_LIGHTS];
+    uniform vec3 uDirectionalLightColors[MAX_DIRECTIONAL_LIGHTS];
+
+    uniform int uPointLightCount;
+    uniform vec3 uPointLightPositions[MAX_POINT_LIGHTS];
+    uniform vec3 uPointLightColors[MAX_POINT_LIGHTS];
+    uniform float uPointLightRanges[MAX_POINT_LIGHTS];
+
+    // Which shadow map each light casts into, or -1 for none
+    uniform int uDirectionalLightShadows[MAX_DIRECTIONAL_LIGHTS];
+    uniform int uPointLightShadows[MAX_POINT_LIGHTS];
+
+    uniform int uShadowMapCount;
+    uniform sampler2D uShadowMaps[MAX_SHADOW_MAPS];
+    // View space to the shadow camera's view space, its projection, and
+    // the near and far distances its depth is stored between
+    uniform mat4 uShadowViewMatrices[MAX_SHADOW_MAPS];
+    uniform mat4 uShadowProjections[MAX_SHADOW_MAPS];
+    uniform vec2 uShadowRanges[MAX_SHADOW_MAPS];
+    uniform bool uReceiveShadows;
+
+    uniform vec3 uSpecularColor;
+    uniform float uShininess;
+    uniform bool uBlinnPhong;
+
+    // Selection tint: rgb is the tint color, a is how strongly to apply it
+    uniform vec4 uHighlight;
+
+    vec3 shade(vec3 albedo, vec3 normal, vec3 lightDir, vec3 viewDir, vec3 lightColor) {
+        float diffuse = max(dot(normal, lightDir), 0.0);
+        float specular = 0.0;
+
+        if (diffuse > 0.0) {
+            if (uBlinnPhong) {
+                vec3 halfway = normalize(lightDir + viewDir);
+                specular = pow(max(dot(normal, halfway), 0.0), uShininess);
+            } else {
+                vec3 reflected = reflect(-lightDir, normal);
+                specular = pow(max(dot(reflected, viewDir), 0.0), uShininess);
+            }
+        }
+
+        return lightColor * (diffuse * albedo + specular * uSpecularColor);
+    }
+
+    float unpackDepth(vec4 bytes) {
+        return dot(bytes, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+    }
+
+    // How much of a light gets past the occluders in its shadow map, from
+    // 0 (fully shadowed) to 1, averaged over a 3x3 block of texels
+    float sampleShadow(sampler2D shadowMap, mat4 view, mat4 projection, vec2 range, float bias) {
+        vec4 lightPosition = view * vec4(vViewPosition, 1.0);
+        vec4 clip = projection * lightPosition;
+        vec2 coord = clip.xy / clip.w * 0.5 + 0.5;
+        float depth = (-lightPosition.z - range.x) / (range.y - range.x);
+        // Anything the shadow camera doesn't see is lit
+        if (clip.w <= 0.0 || depth > 1.0 || coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0) {
+            return 1.0;
+        }
+
+        float lit = 0.0;
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                vec2 offset = vec2(float(x), float(y)) / SHADOW_MAP_SIZE;
+                float occluder = unpackDepth(texture2D(shadowMap, coord + offset));
+                lit += depth - bias > occluder ? 0.0 : 1.0;
+            }
+        }
+        return lit / 9.0;
+    }
+
+    // Light let through by the shadow map at index, or all of it for -1.
+    // Surfaces facing away from the light get a bigger bias against acne.
+    float shadowFactor(int index, vec3 normal, vec3 lightDir) {
+        if (!uReceiveShadows || index < 0 || index >= uShadowMapCount) {
+            return 1.0;
+        }
+        float bias = max(0.004 * (1.0 - dot(normal, lightDir)), 0.001);
+        // GLSL ES 3.00 only indexes sampler arrays with constants, so
+        // there's a branch per shadow map
+        ${shadowMapBranches()}
+        return 1.0;
+    }
+
+    void main(void) {
+        vec3 normal = normalize(vNormal);
+        // Light both sides of flat shapes like the star and the lid
+        if (!gl_FrontFacing) {
+            normal = -normal;
+        }
+        vec3 viewDir = normalize(-vViewPosition);
+        #ifdef USE_TEXTURE
+        vec4 albedo = vColor * texture2D(uTexture, vTextureCoord);
+        #else
+        vec4 albedo = vColor;
+        #endif
+
+        vec3 color = uAmbientLight * albedo.rgb;
+
+        for (int i = 0; i < MAX_DIRECTIONAL_LIGHTS; i++) {
+            if (i >= uDirectionalLightCount) {
+                break;
+            }
+            vec3 lightDir = normalize(-uDirectionalLightDirections[i]);
+            float shadow = shadowFactor(uDirectionalLightShadows[i], normal, lightDir);
+            color += shadow * shade(albedo.rgb, normal, lightDir, viewDir, uDirectionalLightColors[i]);
+        }
+
+        for (int i = 0; i < MAX_POINT_LIGHTS; i++) {
+            if (i >= uPointLightCount) {
+                break;
+            }
+            vec3 toLight = uPointLightPositions[i] - vViewPosition;
+            float distance = length(toLight);
+            float attenuation = 1.0 / (1.0 + pow(distance / uPointLightRanges[i], 2.0));
+            vec3 lightDir = toLight / distance;
+            float shadow = shadowFactor(uPointLightShadows[i], normal, lightDir);
+            color += attenuation * shadow * shade(albedo.rgb, normal, lightDir, viewDir, uPointLightColors[i]);
+        }
+
+        gl_FragColor = vec4(mix(color, uHighlight.rgb, uHighlight.a), albedo.a);
+    }
+`;
+
+// Each axis of the view-space normal mapped from -1..1 to a 0..1 channel
+const normalsFsSource = `
+    precision mediump float;
+
+    varying highp vec3 vNormal;
+
+    uniform vec4 uHighlight;
+
+    void main(void) {
+        vec3 normal = normalize(vNormal);
+        if (!gl_FrontFacing) {
+            normal = -normal;
+        }
+        gl_FragColor = vec4(mix(normal * 0.5 + 0.5, uHighlight.rgb, uHighlight.a), 1.0);
+    }
+`;
+
+// Unlit lines for gizmos and other overlays
+const lineVsSource = `
+    attribute vec4 aVertexPosition;
+    attribute vec4 aVertexColor;
+
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uProjectionMatrix;
+
+    varying lowp vec4 vColor;
+
+    void main(void) {
+        gl_Position = uProjectionMatrix * uModelViewMatrix * aVertexPosition;
+        vColor = aVertexColor;
+    }
+`;
+
+const lineFsSource = `
+    precision mediump float;
+
+    varying lowp vec4 vColor;
+
+    // Replaces the vertex color when a is non-zero
+    uniform vec4 uColorOverride;
+
+    void main(void) {
+        gl_FragColor = uColorOverride.a > 0.0 ? uColorOverride : vColor;
+    }
+`;
+
+// Depth from the light, packed into RGBA bytes for a shadow map
+const shadowDepthVsSource = `
+    attribute vec4 aVertexPosition;
+
+    #ifdef USE_INSTANCING
+    attribute mat4 aInstanceMatrix;
+    #endif
+
+    uniform mat4 uModelViewMatrix;
+    uniform mat4 uProjectionMatrix;
+    // Near and far distances of the shadow camera
+    uniform vec2 uShadowRange;
+
+    varying highp float vDepth;
+
+    void main(void) {
+        #ifdef USE_INSTANCING
+        vec4 viewPosition = uModelViewMatrix * aInstanceMatrix * aVertexPosition;
+        #else
+        vec4 viewPosition = uModelViewMatrix * aVertexPosition;
+        #endif
+        gl_Position = uProjectionMatrix * viewPosition;
+        vDepth = (-viewPosition.z - uShadowRange.x) / (uShadowRange.y - uShadowRange.x);
+    }
+`;
+
+const shadowDepthFsSource = `
+    precision highp float;
+
+    varying highp float vDepth;
+
+    // Spread a 0..1 value over four bytes; unpackDepth in the lit shader
+    // puts it back together
+    vec4 packDepth(float depth) {
+        vec4 bytes = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+        return bytes - bytes.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+    }
+
+    void main(void) {
+        gl_FragColor = packDepth(clamp(vDepth, 0.0, 0.999999));
+    }
+`;
+
+// Shader name -> { vertex, fragment, defines, edges, instanced }. Sources
+// may be functions so they can read constants from scripts loaded later.
+// `edges` draws a mesh's triangle edges as lines instead of its triangles;
+// `instanced` shaders draw a batch of nodes at once (see instancing.js).
+// Other scripts add their own entries (postprocess.js adds its passes).
+const SHADER_LIBRARY = {
+    unlit: { vertex: meshVsSource, fragment: unlitFsSource },
+    lit: { vertex: meshVsSource, fragment: litFsSource },
+    textured: { vertex: meshVsSource, fragment: litFsSource, defines: ['USE_TEXTURE'] },
+    wireframe: { vertex: meshVsSource, fragment: unlitFsSource, edges: true },
+    normals: { vertex: meshVsSource, fragment: normalsFsSource },
+    lines: { vertex: lineVsSource, fragment: lineFsSource },
+    shadowDepth: { vertex: shadowDepthVsSource, fragment: shadowDepthFsSource },
+};
+
+// Shaders a material can name
+const MATERIAL_SHADERS = ['unlit', 'lit', 'textured', 'wireframe', 'normals'];
+
+// Every program reads each attribute from the same location, bound before
+// linking, so one vertex array object per mesh serves them all. Matrix
+// attributes take a location per column.
+const ATTRIBUTE_LOCATIONS = {
+    vertexPosition: 0,
+    position: 0,
+    vertexColor: 1,
+    vertexNormal: 2,
+    textureCoord: 3,
+    instanceMatrix: 4,
+    instanceNormalMatrix: 8,
+    instanceColor: 11,
+};
+
+// Create a cache of compiled programs for a WebGL context, along with the
+// context's bound state. `capabilities` come from detectCapabilities.
+function createShaderCache(gl, capabilities) {
+    return {
+        gl: gl,
+        programs: new Map(),
+        current: null,
+        webgl2: capabilities.webgl2,
+        vertexArrays: capabilities.vertexArrays,
+        instancing: capabilities.instancing,
+        // Bound vertex array object; null is the default one
+        vertexArray: null,
+        // Attribute pointers set on the default vertex array, by location:
+        // { buffer, size, stride, offset, divisor }. Locations missing are
+        // switched off.
+        attributes: new Map(),
+        // Index buffer bound, or undefined when not known
+        elementBuffer: undefined,
+    };
+}
+
+// Program for a SHADER_LIBRARY entry, compiled and reflected on first use:
+// { name, id, program, edges, instanced, attribLocations, attributeSlots,
+//   uniformLocations, uniformTypes, uniformValues }
+function getShader(cache, name) {
+    let shader = cache.programs.get(name);
+    if (shader) {
+        return shader;
+    }
+
+    const entry = SHADER_LIBRARY[name];
+    if (!entry) {
+        throw new Error('Unknown shader "' + name + '"');
+    }
+    const gl = cache.gl;
+    const source = (text, stage) => {
+        const defines = (entry.defines || []).map((define) => '#define ' + define + '\n').join('');
+        return shaderPrelude(cache.webgl2, stage) + defines + (typeof text === 'function' ? text() : text);
+    };
+    let program;
+    try {
+        program = initShaderProgram(gl, source(entry.vertex, 'vertex'), source(entry.fragment, 'fragment'));
+    } catch (error) {
+        error.shaderName = name;
+        error.message = 'Shader "' + name + '": ' + error.message;
+        throw error;
+    }
+
+    shader = Object.assign({
+        name: name,
+        id: cache.programs.size,
+        program: program,
+        edges: entry.edges || false,
+        instanced: entry.instanced || false,
+        // Last value set for each uniform, so unchanged ones can be skipped
+        uniformValues: {},
+    }, reflectProgram(gl, program));
+    cache.programs.set(name, shader);
+    return shader;
+}
+
+// Lines put before a shader's source so GLSL ES 1.00 compiles as GLSL ES
+// 3.00 on WebGL2: attributes and varyings become ins and outs, texture2D
+// becomes texture and gl_FragColor a declared output. WebGL1 takes the
+// source as it is.
+function shaderPrelude(webgl2, stage) {
+    if (!webgl2) {
+        return '';
+    }
+    if (stage === 'vertex') {
+        return '#version 300 es\n' +
+            '#define attribute in\n' +
+            '#define varying out\n' +
+            '#define texture2D texture\n';
+    }
+    return '#version 300 es\n' +
+        '#define varying in\n' +
+        '#define texture2D texture\n' +
+        'out highp vec4 fragColor;\n' +
+        '#define gl_FragColor fragColor\n';
+}
+
+// Look up every active attribute and uniform of a linked program
+function reflectProgram(gl, program) {
+    // attributeSlots holds every location the attributes use, a matrix
+    // attribute's columns included
+    const reflected = { attribLocations: {}, attributeSlots: new Set(), uniformLocations: {}, uniformTypes: {} };
+    const columns = { [gl.FLOAT_MAT4]: 4, [gl.FLOAT_MAT3]: 3, [gl.FLOAT_MAT2]: 2 };
+    // aVertexPosition -> vertexPosition; arrays are reported as "uName[0]"
+    const key = (name) => name.replace(/\[0\]$/, '').replace(/^[au]([A-Z])/, (match, first) => first.toLowerCase());
+
+    const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (let i = 0; i < attributeCount; i++) {
+        const info = gl.getActiveAttrib(program, i);
+        const location = gl.getAttribLocation(program, info.name);
+        reflected.attribLocations[key(info.name)] = location;
+        for (let column = 0; column < (columns[info.type] || 1); column++) {
+            reflected.attributeSlots.add(location + column);
+        }
+    }
+
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < uniformCount; i++) {
+        const info = gl.getActiveUniform(program, i);
+        reflected.uniformLocations[key(info.name)] = gl.getUniformLocation(program, info.name);
+        reflected.uniformTypes[key(info.name)] = info.type;
+    }
+
+    return reflected;
+}
+
+// Make a shader current, switching programs only when it isn't already
+function useShader(cache, shader) {
+    if (cache.current === shader) {
+        return false;
+    }
+    cache.gl.useProgram(shader.program);
+    cache.current = shader;
+    if (!cache.vertexArray) {
+        disableUnusedAttributes(cache);
+    }
+    return true;
+}
+
+// Switch off the default vertex array's attributes the current program
+// doesn't read, so they can't point at buffers that have since been deleted
+function disableUnusedAttributes(cache) {
+    const gl = cache.gl;
+    const used = cache.current ? cache.current.attributeSlots : new Set();
+    cache.attributes.forEach((state, location) => {
+        if (!used.has(location)) {
+            if (state.divisor) {
+                cache.instancing.divisor(location, 0);
+            }
+            gl.disableVertexAttribArray(location);
+            cache.attributes.delete(location);
+        }
+    });
+}
+
+// Bind a vertex array object, or null for the default one
+function bindVertexArray(cache, vertexArray) {
+    if (cache.vertexArray === vertexArray) {
+        return;
+    }
+    cache.vertexArrays.bind(vertexArray);
+    cache.vertexArray = vertexArray;
+    // The index buffer binding belongs to the vertex array
+    cache.elementBuffer = undefined;
+    if (!vertexArray) {
+        disableUnusedAttributes(cache);
+    }
+}
+
+function bindIndexBuffer(cache, buffer) {
+    if (cache.elementBuffer === buffer) {
+        return;
+    }
+    cache.gl.bindBuffer(cache.gl.ELEMENT_ARRAY_BUFFER, buffer);
+    cache.elementBuffer = buffer;
+}
+
+// Point an attribute location at `size` floats in a buffer, `stride` and
+// `offset` in bytes. A `divisor` of 1 steps it once per instance instead of
+// once per vertex. On the default vertex array, pointers already set this
+// way are left alone; into a vertex array object it's always set.
+function pointAttribute(cache, location, buffer, size, stride = 0, offset = 0, divisor = 0) {
+    const gl = cache.gl;
+    const state = cache.vertexArray ? null : cache.attributes.get(location);
+    if (state && state.buffer === buffer && state.size === size && state.stride === stride &&
+        state.offset === offset && state.divisor === divisor) {
+        return;
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+    if (!state) {
+        gl.enableVertexAttribArray(location);
+    }
+    if ((state ? state.divisor : 0) !== divisor) {
+        cache.instancing.divisor(location, divisor);
+    }
+    if (!cache.vertexArray) {
+        cache.attributes.set(location, {
+            buffer: buffer,
+            size: size,
+            stride: stride,
+            offset: offset,
+            divisor: divisor,
+        });
+    }
+}
+
+// Point one of the shader's attributes at a buffer on the default vertex
+// array, if the shader reads it
+function bindAttribute(cache, shader, name, buffer, size) {
+    const location = shader.attribLocations[name];
+    if (location === undefined || location < 0) {
+        return;
+    }
+    if (cache.vertexArrays) {
+        bindVertexArray(cache, null);
+    }
+    pointAttribute(cache, location, buffer, size);
+}
+
+// Whether a uniform already holds `value`; if not, remember it as the value
+// about to be set. Arrays longer than a matrix (light and shadow tables)
+// aren't worth comparing and are always set.
+function uniformUnchanged(shader, name, value) {
+    const last = shader.uniformValues[name];
+    if (typeof value !== 'object') {
+        if (last === value) {
+            return true;
+        }
+        shader.uniformValues[name] = value;
+        return false;
+    }
+    if (value.length > 16) {
+        return false;
+    }
+    if (last && last.length === value.length && last.every((v, i) => v === value[i])) {
+        return true;
+    }
+    shader.uniformValues[name] = Array.from(value);
+    return false;
+}
+
+// Set uniforms by name ({ modelViewMatrix: m, shininess: 32, ... }) on the
+// current program, picking the gl.uniform* call from each one's type.
+// Uniforms already holding the value given are skipped.
+function setUniforms(cache, shader, values) {
+    const gl = cache.gl;
+    Object.keys(values).forEach((name) => {
+        const location = shader.uniformLocations[name];
+        const value = values[name];
+        if (!location || uniformUnchanged(shader, name, value)) {
+            return;
+        }
+        switch (shader.uniformTypes[name]) {
+        case gl.FLOAT_MAT4:
+            gl.uniformMatrix4fv(location, false, value);
+            break;
+        case gl.FLOAT_MAT3:
+            gl.uniformMatrix3fv(location, false, value);
+            break;
+        case gl.FLOAT_VEC4:
+            gl.uniform4fv(location, value);
+            break;
+        case gl.FLOAT_VEC3:
+            gl.uniform3fv(location, value);
+            break;
+        case gl.FLOAT_VEC2:
+            gl.uniform2fv(location, value);
+            break;
+        case gl.FLOAT:
+            gl.uniform1fv(location, typeof value === 'number' ? [value] : value);
+            break;
+        default:
+            // int, bool and sampler uniforms, or arrays of them
+            if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+                gl.uniform1iv(location, value);
+            } else {
+                gl.uniform1i(location, Number(value));
+            }
+        }
+    });
+}
+
+// Error for a shader that failed to build, with what's needed to show where:
+// the stage ("vertex", "fragment" or "link"), the driver's log and, for a
+// compile error, the source as compiled. getShader adds the shader's name.
+function createShaderError(message, stage, log, source) {
+    return Object.assign(new Error(message + ':\n' + log), {
+        stage: stage,
+        log: log,
+        source: source,
+    });
+}
+
+// Build a program from vertex and fragment shader sources. Throws a shader
+// error if either stage fails to compile or the program fails to link.
+function initShaderProgram(gl, vsSource, fsSource) {
+    const vertexShader = loadShader(gl, gl.VERTEX_SHADER, vsSource);
+    let fragmentShader;
+    try {
+        fragmentShader = loadShader(gl, gl.FRAGMENT_SHADER, fsSource);
+    } catch (error) {
+        gl.deleteShader(vertexShader);
+        throw error;
+    }
+
+    const shaderProgram = gl.createProgram();
+    gl.attachShader(shaderProgram, vertexShader);
+    gl.attachShader(shaderProgram, fragmentShader);
+    Object.keys(ATTRIBUTE_LOCATIONS).forEach((name) => {
+        gl.bindAttribLocation(shaderProgram, ATTRIBUTE_LOCATIONS[name], 'a' + name[0].toUpperCase() + name.slice(1));
+    });
+    gl.linkProgram(shaderProgram);
+    // The program keeps what it needs once linked
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+
+    if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
+        const log = gl.getProgramInfoLog(shaderProgram);
+        gl.deleteProgram(shaderProgram);
+        throw createShaderError('Unable to link the shader program', 'link', log, '');
+    }
+
+    return shaderProgram;
+}
+
+// Compile one shader stage
+function loadShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw createShaderError('Unable to compile the ' + stage + ' shader', stage, log, source);
+    }
+
+    return shader;
+}
@@ -0,0 +1,147 @@
+// Shadow mapping
+//
+// Each frame, every enabled light with castShadows set renders the depth
+// of the shadow-casting objects from its own point of view into a shadow
+// map. The lit shaders then look each fragment up in those maps to see
+// whether something sits between it and the light.
+//
+// Depth is packed into the four bytes of an ordinary RGBA texture, so no
+// depth-texture extension is needed. It is stored linearly between the
+// light's near and far planes, so the same bias suits directional and
+// point lights.
+//
+// Directional lights get an orthographic projection and point lights a
+// perspective one aimed at the scene, both fitted around the bounding
+// sphere of everything visible. A point light inside that sphere only
+// shadows what's in front of it.
+//
+// Lookups use 3x3 percentage-closer filtering (PCF): nine neighbouring
+// texels are each compared against the fragment's depth and the results
+// averaged, which softens the shadow's edge.
+
+const MAX_SHADOW_MAPS = 2;
+const SHADOW_MAP_SIZE = 2048;
+
+// Widest view a point light's shadow map covers
+const SHADOW_MAX_FIELD_OF_VIEW = 120 * Math.PI / 180;
+
+// Create a shadow map: a color texture holding packed depth, plus a depth
+// buffer for the depth test while it's drawn
+function createShadowMap(gl, size = SHADOW_MAP_SIZE) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    // Packed depth can't be blended between texels
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    const depthBuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error('Shadow map framebuffer is incomplete (status 0x' + status.toString(16) + ')');
+    }
+
+    return {
+        size: size,
+        texture: texture,
+        depthBuffer: depthBuffer,
+        framebuffer: framebuffer,
+        // The light this map was last drawn for, and the camera it used
+        light: null,
+        viewMatrix: mat4.create(),
+        projectionMatrix: mat4.create(),
+        near: 0,
+        far: 1,
+    };
+}
+
+// Bytes a shadow map holds on the GPU: four per texel of packed depth and
+// two of depth buffer
+function shadowMapBytes(map) {
+    return map.size * map.size * (4 + 2);
+}
+
+// Aim a shadow map's camera from `light` so it takes in the whole of
+// `sphere` ({ center, radius })
+function fitShadowCamera(map, light, sphere) {
+    const center = sphere.center;
+    const radius = sphere.radius;
+    map.light = light;
+
+    if (light.type === 'directional') {
+        const direction = vec3.normalize(vec3.create(), light.direction);
+        const eye = vec3.scaleAndAdd(vec3.create(), center, direction, -2 * radius);
+        mat4.lookAt(map.viewMatrix, eye, center, shadowUpVector(direction));
+        mat4.ortho(map.projectionMatrix, -radius, radius, -radius, radius, radius, 3 * radius);
+        map.near = radius;
+        map.far = 3 * radius;
+        return;
+    }
+
+    const toCenter = vec3.subtract(vec3.create(), center, light.position);
+    const distance = vec3.length(toCenter);
+    if (distance < MATH_EPSILON) {
+        // Sitting right at the center: look straight down
+        vec3.set(toCenter, 0, -1, 0);
+    }
+    const target = vec3.add(vec3.create(), light.position, toCenter);
+    const fieldOfView = distance > radius ?
+        Math.min(2 * Math.asin(radius / distance), SHADOW_MAX_FIELD_OF_VIEW) :
+        SHADOW_MAX_FIELD_OF_VIEW;
+
+    map.near = Math.max(distance - radius, 0.05);
+    map.far = distance + radius;
+    mat4.lookAt(map.viewMatrix, light.position, target, shadowUpVector(toCenter));
+    mat4.perspective(map.projectionMatrix, fieldOfView, 1, map.near, map.far);
+}
+
+// Any up vector works for a shadow camera, as long as it isn't parallel to
+// the way the camera looks
+function shadowUpVector(direction) {
+    return Math.abs(direction[1]) > 0.99 * vec3.length(direction) ? [0, 0, 1] : [0, 1, 0];
+}
+
+// Point the lit shaders at this frame's shadow maps, binding them to
+// texture units from `firstUnit` on. The shaders work in view space, so
+// each map's camera is composed with the inverse of the view matrix.
+function applyShadowUniforms(cache, shader, maps, viewMatrix, firstUnit) {
+    const gl = cache.gl;
+    const inverseView = mat4.invert(mat4.create(), viewMatrix) || mat4.create();
+    const views = new Float32Array(MAX_SHADOW_MAPS * 16);
+    const projections = new Float32Array(MAX_SHADOW_MAPS * 16);
+    const ranges = new Float32Array(MAX_SHADOW_MAPS * 2);
+    const units = [];
+
+    for (let i = 0; i < MAX_SHADOW_MAPS; i++) {
+        units.push(firstUnit + i);
+        const map = maps[i];
+        if (!map) {
+            continue;
+        }
+        views.set(mat4.multiply(mat4.create(), map.viewMatrix, inverseView), i * 16);
+        projections.set(map.projectionMatrix, i * 16);
+        ranges.set([map.near, map.far], i * 2);
+        gl.activeTexture(gl.TEXTURE0 + firstUnit + i);
+        gl.bindTexture(gl.TEXTURE_2D, map.texture);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+
+    setUniforms(cache, shader, {
+        shadowMapCount: maps.length,
+        shadowMaps: units,
+        shadowViewMatrices: views,
+        shadowProjections: projections,
+        shadowRanges: ranges,
+    });
+}
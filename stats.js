@@ -0,0 +1,175 @@
+// Frame statistics and the performance HUD
+//
+// Every frame counts the draw calls it makes and the triangles and
+// vertices they submit; a vertex is counted each time an index refers to
+// it, and each instance of an instanced draw counts again. Buffer memory
+// is the size of every vertex, index and instance buffer still alive, plus
+// the shadow maps and the post-processing render targets.
+//
+// Frame rate and CPU time (the JavaScript side of drawScene) are averaged
+// over half a second. GPU time is measured with a timer query around the
+// whole frame where the context has one (see timerQuerySupport in
+// capabilities.js), but only while the HUD is showing.
+
+// How often the averages are worked out and shown, in milliseconds
+const STATS_INTERVAL = 500;
+
+// Timer queries waiting for a result; past this no new ones are started
+const STATS_MAX_PENDING_QUERIES = 4;
+
+// Create the statistics for a context. `timerQuery` is the context's
+// timerQuery capability, or null.
+function createFrameStats(gl, timerQuery = null) {
+    return {
+        gl: gl,
+        timerQuery: timerQuery,
+        // This frame's counts
+        drawCalls: 0,
+        triangles: 0,
+        vertices: 0,
+        // Bytes of each live buffer, and their total
+        bufferSizes: new Map(),
+        bufferBytes: 0,
+        // Running totals for the current interval
+        frameStart: 0,
+        intervalStart: null,
+        intervalFrames: 0,
+        cpuTime: 0,
+        gpuTime: 0,
+        gpuFrames: 0,
+        activeQuery: null,
+        pendingQueries: [],
+        // What was last worked out over a whole interval; null until then
+        summary: null,
+    };
+}
+
+// Start counting a frame. `measureGPU` times it on the GPU as well.
+function beginFrameStats(stats, measureGPU) {
+    const now = performance.now();
+    if (stats.intervalStart === null) {
+        stats.intervalStart = now;
+    }
+    stats.frameStart = now;
+    stats.drawCalls = 0;
+    stats.triangles = 0;
+    stats.vertices = 0;
+
+    const timer = stats.timerQuery;
+    if (measureGPU && timer && stats.pendingQueries.length < STATS_MAX_PENDING_QUERIES) {
+        stats.activeQuery = timer.create();
+        timer.begin(stats.activeQuery);
+    }
+}
+
+// Finish counting a frame. Returns true when an interval has just ended
+// and `summary` has new averages.
+function endFrameStats(stats) {
+    const now = performance.now();
+    const timer = stats.timerQuery;
+    if (stats.activeQuery) {
+        timer.end();
+        stats.pendingQueries.push(stats.activeQuery);
+        stats.activeQuery = null;
+    }
+    collectTimerQueries(stats);
+
+    stats.intervalFrames++;
+    stats.cpuTime += now - stats.frameStart;
+
+    const elapsed = now - stats.intervalStart;
+    if (elapsed < STATS_INTERVAL) {
+        return false;
+    }
+    stats.summary = {
+        fps: stats.intervalFrames * 1000 / elapsed,
+        cpuTime: stats.cpuTime / stats.intervalFrames,
+        gpuTime: stats.gpuFrames ? stats.gpuTime / stats.gpuFrames : null,
+        drawCalls: stats.drawCalls,
+        triangles: stats.triangles,
+        vertices: stats.vertices,
+        bufferBytes: stats.bufferBytes,
+    };
+    stats.intervalStart = now;
+    stats.intervalFrames = 0;
+    stats.cpuTime = 0;
+    stats.gpuTime = 0;
+    stats.gpuFrames = 0;
+    return true;
+}
+
+// Add up the timer queries that have finished, oldest first. A disjoint
+// GPU spoils every result still outstanding.
+function collectTimerQueries(stats) {
+    const timer = stats.timerQuery;
+    if (!stats.pendingQueries.length) {
+        return;
+    }
+    if (timer.disjoint()) {
+        stats.pendingQueries.forEach((query) => timer.remove(query));
+        stats.pendingQueries = [];
+        return;
+    }
+    while (stats.pendingQueries.length && timer.available(stats.pendingQueries[0])) {
+        const query = stats.pendingQueries.shift();
+        // Nanoseconds to milliseconds
+        stats.gpuTime += timer.result(query) / 1e6;
+        stats.gpuFrames++;
+        timer.remove(query);
+    }
+}
+
+// Count a draw call of `count` indices as `mode` primitives, repeated for
+// each of `instances`
+function countDraw(stats, mode, count, instances = 1) {
+    const gl = stats.gl;
+    stats.drawCalls++;
+    stats.vertices += count * instances;
+    if (mode === gl.TRIANGLES) {
+        stats.triangles += Math.floor(count / 3) * instances;
+    }
+}
+
+// Note a buffer's size in bytes when its data is uploaded. Anything else
+// holding GPU memory, such as a render target, can be noted the same way.
+function trackBuffer(stats, buffer, bytes) {
+    stats.bufferBytes += bytes - (stats.bufferSizes.get(buffer) || 0);
+    stats.bufferSizes.set(buffer, bytes);
+}
+
+// Forget a buffer that's been deleted
+function untrackBuffer(stats, buffer) {
+    stats.bufferBytes -= stats.bufferSizes.get(buffer) || 0;
+    stats.bufferSizes.delete(buffer);
+}
+
+// Write the last summary into the HUD element, one figure per line
+function updatePerformanceHud(stats, element) {
+    const summary = stats.summary;
+    if (!summary) {
+        element.textContent = 'Measuring...';
+        return;
+    }
+    const gpu = !stats.timerQuery ? 'n/a' :
+        summary.gpuTime === null ? '...' : summary.gpuTime.toFixed(2) + ' ms';
+    const lines = [
+        ['FPS', summary.fps.toFixed(1)],
+        ['CPU', summary.cpuTime.toFixed(2) + ' ms'],
+        ['GPU', gpu],
+        ['Draw calls', summary.drawCalls.toLocaleString()],
+        ['Triangles', summary.triangles.toLocaleString()],
+        ['Vertices', summary.vertices.toLocaleString()],
+        ['Buffers', formatBytes(summary.bufferBytes)],
+    ];
+    element.textContent = lines.map(([label, value]) => label.padEnd(11) + value).join('\n');
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return bytes + ' B';
+    }
+    if (bytes < 1024 * 1024) {
+        return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+}
@@ -0,0 +1,139 @@
+// Unit tests for clock.js, driving timeline.js frame by frame. Run with:
+// node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CLOCK_FIXED_STEP, createClock, tickClock, stepClock, pauseClock, resumeClock, setClockTimeScale,
+} = require('../clock.js');
+const { createTimeline, advanceTimeline, timelineTimeAfter, sampleKeyframes } = require('../timeline.js');
+
+const TOLERANCE = 1e-9;
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < TOLERANCE,
+        (message || 'values differ') + ': ' + actual + ' != ' + expected);
+}
+
+test('stepClock runs one fixed step per frame', () => {
+    const clock = createClock({ deterministic: true });
+    const timeline = createTimeline({ duration: 10 });
+    stepClock(clock, 60, (dt) => advanceTimeline(timeline, dt));
+
+    assert.equal(clock.frame, 60);
+    assert.equal(clock.fixedFrame, 60);
+    assertClose(clock.elapsed, 60 * CLOCK_FIXED_STEP);
+    assertClose(timeline.time, 0.5);
+});
+
+test('keyframes sampled from a stepped timeline land on the expected values', () => {
+    const keyframes = [
+        { time: 0, value: [0, 0, 0] },
+        { time: 1, value: [10, 20, -4] },
+    ];
+    const clock = createClock({ deterministic: true });
+    const timeline = createTimeline({ duration: 1 });
+    const samples = [];
+    for (let frame = 0; frame < 3; frame++) {
+        stepClock(clock, 30, (dt) => advanceTimeline(timeline, dt));
+        samples.push(sampleKeyframes(keyframes, timeline.time));
+    }
+
+    // 30 steps of 1/120 s is a quarter of a second each time
+    [[2.5, 5, -1], [5, 10, -2], [7.5, 15, -3]].forEach((expected, i) => {
+        expected.forEach((value, axis) => assertClose(samples[i][axis], value, 'frame ' + i));
+    });
+});
+
+test('a looping timeline wraps and a one-shot one stops at the end', () => {
+    const looping = createTimeline({ duration: 1 });
+    const oneShot = createTimeline({ duration: 1, loop: false });
+    stepClock(createClock({ deterministic: true }), 150, (dt) => {
+        advanceTimeline(looping, dt);
+        advanceTimeline(oneShot, dt);
+    });
+
+    assertClose(looping.time, 0.25);
+    assert.equal(looping.playing, true);
+    assert.equal(oneShot.time, 1);
+    assert.equal(oneShot.playing, false);
+});
+
+test('steps are the same whatever the frame rate', () => {
+    const run = (frameMilliseconds, frames) => {
+        const clock = createClock();
+        const timeline = createTimeline({ duration: 10 });
+        for (let frame = 0; frame <= frames; frame++) {
+            tickClock(clock, frame * frameMilliseconds, (dt) => advanceTimeline(timeline, dt));
+        }
+        return { clock, timeline };
+    };
+    // One second at 60 Hz and at 144 Hz
+    const slow = run(1000 / 60, 60);
+    const fast = run(1000 / 144, 144);
+
+    assertClose(slow.clock.elapsed, 1);
+    assertClose(fast.clock.elapsed, 1);
+    assert.ok(Math.abs(slow.clock.fixedFrame - 120) <= 1);
+    assert.ok(Math.abs(fast.clock.fixedFrame - 120) <= 1);
+});
+
+test('drawing between steps follows real time', () => {
+    const clock = createClock();
+    const timeline = createTimeline({ duration: 10 });
+    const drawn = [];
+    for (let frame = 0; frame <= 20; frame++) {
+        tickClock(clock, frame * 1000 / 144, (dt) => advanceTimeline(timeline, dt));
+        drawn.push(timelineTimeAfter(timeline, clock.alpha * clock.fixedStep));
+    }
+
+    // Without interpolation some 144 Hz frames would repeat a step
+    drawn.forEach((time, frame) => assertClose(time, frame / 144, 'frame ' + frame));
+});
+
+test('pauseClock stops the steps until resumeClock', () => {
+    const clock = createClock({ deterministic: true });
+    const timeline = createTimeline({ duration: 10 });
+    const advance = (dt) => advanceTimeline(timeline, dt);
+    stepClock(clock, 12, advance);
+    pauseClock(clock);
+    stepClock(clock, 12, advance);
+
+    assert.equal(clock.fixedFrame, 12);
+    assertClose(timeline.time, 0.1);
+    assertClose(clock.realElapsed, 24 * CLOCK_FIXED_STEP);
+
+    resumeClock(clock);
+    stepClock(clock, 12, advance);
+    assert.equal(clock.fixedFrame, 24);
+    assertClose(timeline.time, 0.2);
+});
+
+test('setClockTimeScale changes how fast steps come', () => {
+    const clock = createClock({ deterministic: true });
+    const timeline = createTimeline({ duration: 10 });
+    const advance = (dt) => advanceTimeline(timeline, dt);
+    setClockTimeScale(clock, 2);
+    stepClock(clock, 12, advance);
+    assert.equal(clock.fixedFrame, 24);
+    assertClose(timeline.time, 0.2);
+
+    setClockTimeScale(clock, 0.5);
+    stepClock(clock, 12, advance);
+    assert.equal(clock.fixedFrame, 30);
+    assertClose(timeline.time, 0.25);
+});
+
+test('setClockTimeScale rejects a negative or missing scale', () => {
+    const clock = createClock();
+    assert.throws(() => setClockTimeScale(clock, -1), /zero or more/);
+    assert.throws(() => setClockTimeScale(clock, NaN), /zero or more/);
+    assert.equal(clock.timeScale, 1);
+});
+
+test('a stall counts as no more than the longest frame', () => {
+    const clock = createClock();
+    tickClock(clock, 0);
+    tickClock(clock, 5000);
+    assertClose(clock.delta, clock.maxDelta);
+});
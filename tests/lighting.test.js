@@ -0,0 +1,44 @@
+// Unit tests for the light management in lighting.js. Run with:
+// node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MAX_POINT_LIGHTS, lights, addDirectionalLight, addPointLight, removeLight, clearLights, findLight,
+} = require('../lighting.js');
+
+test.beforeEach(() => clearLights());
+
+test('lights can be added and found by name', () => {
+    const key = addDirectionalLight({ name: 'key', direction: [0, -1, 0] });
+    const fill = addPointLight({ name: 'fill', position: [1, 2, 3], range: 5 });
+    assert.equal(findLight('key'), key);
+    assert.equal(findLight('fill'), fill);
+    assert.deepEqual(fill.position, [1, 2, 3]);
+    assert.equal(findLight('rim'), null);
+});
+
+test('removeLight takes out the named light and leaves the others', () => {
+    const key = addDirectionalLight({ name: 'key' });
+    const fill = addPointLight({ name: 'fill' });
+    const rim = addPointLight({ name: 'rim' });
+
+    assert.equal(removeLight('fill'), fill);
+    assert.deepEqual(lights, [key, rim]);
+    assert.equal(findLight('fill'), null);
+});
+
+test('removeLight returns null for a light that isn\'t there', () => {
+    addPointLight({ name: 'fill' });
+    assert.equal(removeLight('rim'), null);
+    assert.equal(lights.length, 1);
+});
+
+test('removing a light makes room for another of its type', () => {
+    for (let i = 0; i < MAX_POINT_LIGHTS; i++) {
+        addPointLight({ name: 'point' + i });
+    }
+    assert.throws(() => addPointLight({ name: 'extra' }), /At most/);
+    removeLight('point0');
+    assert.equal(addPointLight({ name: 'extra' }).name, 'extra');
+});
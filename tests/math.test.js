@@ -0,0 +1,158 @@
+// Unit tests for math.js. Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mat4, vec3, quat } = require('../math.js');
+
+const TOLERANCE = 1e-5;
+
+function assertClose(actual, expected, message) {
+    assert.equal(actual.length, expected.length, message);
+    for (let i = 0; i < expected.length; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) < TOLERANCE,
+            (message || 'values differ') + ' at ' + i + ': ' + actual[i] + ' != ' + expected[i]);
+    }
+}
+
+function transformPoint(m, p) {
+    return Array.from(vec3.transformMat4(vec3.create(), p, m));
+}
+
+test('mat4.multiply applies the right-hand matrix first', () => {
+    const translation = mat4.fromTranslation(mat4.create(), [1, 2, 3]);
+    const scale = mat4.scale(mat4.create(), mat4.create(), [2, 2, 2]);
+    const m = mat4.multiply(mat4.create(), translation, scale);
+    assertClose(transformPoint(m, [1, 1, 1]), [3, 4, 5]);
+});
+
+test('mat4.multiply works in place', () => {
+    const a = mat4.fromTranslation(mat4.create(), [1, 0, 0]);
+    const b = mat4.rotateZ(mat4.create(), mat4.create(), Math.PI / 2);
+    const expected = mat4.multiply(mat4.create(), a, b);
+    assertClose(mat4.multiply(a, a, b), expected);
+});
+
+test('mat4.invert undoes a transform', () => {
+    const m = mat4.fromRotationTranslationScale(mat4.create(),
+        quat.setAxisAngle(quat.create(), [1, 2, 3], 0.7), [4, -5, 6], [2, 3, 0.5]);
+    const inverse = mat4.invert(mat4.create(), m);
+    assertClose(mat4.multiply(mat4.create(), m, inverse), mat4.create());
+});
+
+test('mat4.invert returns null for a singular matrix', () => {
+    const flat = mat4.scale(mat4.create(), mat4.create(), [1, 0, 1]);
+    assert.equal(mat4.invert(mat4.create(), flat), null);
+});
+
+test('mat4.transpose swaps rows and columns, in place too', () => {
+    const m = new Float32Array(16).map((v, i) => i);
+    const t = mat4.transpose(mat4.create(), m);
+    assertClose(t, [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15]);
+    assertClose(mat4.transpose(m, m), t);
+});
+
+test('mat4.lookAt puts the center straight ahead of the eye', () => {
+    const view = mat4.lookAt(mat4.create(), [0, 0, 5], [0, 0, 0], [0, 1, 0]);
+    assertClose(transformPoint(view, [0, 0, 0]), [0, 0, -5]);
+    assertClose(transformPoint(view, [0, 1, 5]), [0, 1, 0]);
+});
+
+test('mat4.lookAt gives identity when the eye is at the center', () => {
+    const view = mat4.lookAt(mat4.create(), [1, 1, 1], [1, 1, 1], [0, 1, 0]);
+    assertClose(view, mat4.create());
+});
+
+test('mat4.ortho maps the box onto clip space', () => {
+    const m = mat4.ortho(mat4.create(), -2, 2, -1, 1, 0.5, 10);
+    assertClose(transformPoint(m, [-2, -1, -0.5]), [-1, -1, -1]);
+    assertClose(transformPoint(m, [2, 1, -10]), [1, 1, 1]);
+});
+
+test('mat4.fromQuat matches the rotation the quaternion describes', () => {
+    const q = quat.setAxisAngle(quat.create(), [0, 1, 0], Math.PI / 2);
+    const m = mat4.fromQuat(mat4.create(), q);
+    assertClose(transformPoint(m, [1, 0, 0]), [0, 0, -1]);
+    assertClose(m, mat4.rotateY(mat4.create(), mat4.create(), Math.PI / 2));
+});
+
+test('mat4.rotate turns around an arbitrary axis', () => {
+    // A third of a turn about the diagonal cycles the axes
+    const m = mat4.rotate(mat4.create(), mat4.create(), 2 * Math.PI / 3, [1, 1, 1]);
+    assertClose(transformPoint(m, [1, 0, 0]), [0, 1, 0]);
+    assertClose(transformPoint(m, [0, 1, 0]), [0, 0, 1]);
+});
+
+test('mat4.rotate agrees with quaternions and rejects a zero axis', () => {
+    const axis = [0.3, -0.5, 0.8];
+    const m = mat4.rotate(mat4.create(), mat4.create(), 1.1, axis);
+    assertClose(m, mat4.fromQuat(mat4.create(), quat.setAxisAngle(quat.create(), axis, 1.1)));
+    assert.equal(mat4.rotate(mat4.create(), mat4.create(), 1, [0, 0, 0]), null);
+});
+
+test('mat4.decompose round-trips fromRotationTranslationScale', () => {
+    const rotation = quat.fromEuler(quat.create(), 0.4, -1.2, 2.5);
+    const m = mat4.fromRotationTranslationScale(mat4.create(), rotation, [1, -2, 3], [2, 0.5, 4]);
+
+    const t = vec3.create();
+    const r = quat.create();
+    const s = vec3.create();
+    assert.equal(mat4.decompose(t, r, s, m), t);
+    assertClose(t, [1, -2, 3]);
+    assertClose(s, [2, 0.5, 4]);
+    assert.ok(quat.equals(r, rotation));
+    assertClose(mat4.fromRotationTranslationScale(mat4.create(), r, t, s), m);
+});
+
+test('mat4.decompose keeps a mirror as a negative X scale', () => {
+    const m = mat4.scale(mat4.create(), mat4.create(), [-1, 2, 3]);
+    const s = vec3.create();
+    mat4.decompose(vec3.create(), quat.create(), s, m);
+    assertClose(s, [-1, 2, 3]);
+});
+
+test('quat.multiply composes rotations, right-hand first', () => {
+    const x = quat.setAxisAngle(quat.create(), [1, 0, 0], Math.PI / 2);
+    const y = quat.setAxisAngle(quat.create(), [0, 1, 0], Math.PI / 2);
+    const q = quat.multiply(quat.create(), y, x);
+    const expected = mat4.multiply(mat4.create(),
+        mat4.fromQuat(mat4.create(), y), mat4.fromQuat(mat4.create(), x));
+    assertClose(mat4.fromQuat(mat4.create(), q), expected);
+});
+
+test('quat.invert and conjugate undo a rotation', () => {
+    const q = quat.setAxisAngle(quat.create(), [1, 2, 2], 0.9);
+    const identity = quat.create();
+    assert.ok(quat.equals(quat.multiply(quat.create(), q, quat.invert(quat.create(), q)), identity));
+    assert.ok(quat.equals(quat.multiply(quat.create(), q, quat.conjugate(quat.create(), q)), identity));
+});
+
+test('quat.normalize gives unit length', () => {
+    const q = quat.normalize(quat.create(), [1, 2, 3, 4]);
+    assert.ok(Math.abs(Math.hypot(...q) - 1) < TOLERANCE);
+});
+
+test('quat.slerp goes halfway along the shorter arc', () => {
+    const a = quat.create();
+    const b = quat.setAxisAngle(quat.create(), [0, 0, 1], Math.PI / 2);
+    const half = quat.slerp(quat.create(), a, b, 0.5);
+    assert.ok(quat.equals(half, quat.setAxisAngle(quat.create(), [0, 0, 1], Math.PI / 4)));
+    // -b is the same rotation; slerp must not take the long way round
+    const negated = b.map((v) => -v);
+    assert.ok(quat.equals(quat.slerp(quat.create(), a, negated, 0.5), half));
+});
+
+test('quat.fromEuler and toEuler round-trip', () => {
+    const angles = [0.3, -0.7, 1.9];
+    const q = quat.fromEuler(quat.create(), ...angles);
+    assertClose(quat.toEuler([0, 0, 0], q), angles);
+    const m = mat4.create();
+    mat4.rotateX(m, m, angles[0]);
+    mat4.rotateY(m, m, angles[1]);
+    mat4.rotateZ(m, m, angles[2]);
+    assertClose(mat4.fromQuat(mat4.create(), q), m);
+});
+
+test('vec3.transformQuat rotates a vector', () => {
+    const q = quat.setAxisAngle(quat.create(), [0, 0, 1], Math.PI / 2);
+    assertClose(vec3.transformQuat(vec3.create(), [1, 0, 0], q), [0, 1, 0]);
+});
@@ -0,0 +1,246 @@
+// Textures
+//
+// The texture manager uploads images and generated pixel data, and shares
+// a texture between everything that asks for the same source. Callers
+// acquire a texture and release it when done; the GPU copy is deleted
+// once nobody holds it any more.
+//
+// Texture options:
+//   wrap     "repeat" (default), "clamp" or "mirror"
+//   filter   "nearest", "linear", "bilinear" or "trilinear" (default);
+//            the last two use mipmaps
+//
+// WebGL 1 can only repeat and mipmap textures whose sides are powers of
+// two, so other sizes are scaled up to the next power of two when they
+// need either.
+
+const TEXTURE_WRAP_MODES = {
+    repeat: 'REPEAT',
+    clamp: 'CLAMP_TO_EDGE',
+    mirror: 'MIRRORED_REPEAT',
+};
+
+// Minification filter, magnification filter and whether mipmaps are built
+const TEXTURE_FILTERS = {
+    nearest: ['NEAREST', 'NEAREST', false],
+    linear: ['LINEAR', 'LINEAR', false],
+    bilinear: ['LINEAR_MIPMAP_NEAREST', 'LINEAR', true],
+    trilinear: ['LINEAR_MIPMAP_LINEAR', 'LINEAR', true],
+};
+
+// Pattern generators for procedural textures. Each returns
+// { width, height, data } with RGBA bytes in `data`.
+const PROCEDURAL_TEXTURES = {
+    checkerboard: (options) => {
+        const size = options.size || 256;
+        const squares = options.squares || 8;
+        const colors = (options.colors || [[1, 1, 1, 1], [0.2, 0.2, 0.2, 1]]).map(colorBytes);
+
+        return fillPixels(size, size, (x, y) => {
+            const cell = Math.floor(x * squares / size) + Math.floor(y * squares / size);
+            return colors[cell % 2];
+        });
+    },
+
+    // Diagonal stripes with dots between them and a ribbon tied across the
+    // middle, for a box whose faces each map the whole texture
+    wrappingPaper: (options) => {
+        const size = options.size || 256;
+        const paper = colorBytes(options.paper || [0.2, 0.45, 0.85, 1]);
+        const stripe = colorBytes(options.stripe || [0.35, 0.6, 0.95, 1]);
+        const dot = colorBytes(options.dot || [1, 0.85, 0.3, 1]);
+        const ribbon = colorBytes(options.ribbon || [0.85, 0.1, 0.2, 1]);
+        const ribbonWidth = (options.ribbonWidth || 0.12) * size;
+        const stripeSpacing = size / 8;
+        const dotRadius = stripeSpacing * 0.15;
+
+        return fillPixels(size, size, (x, y) => {
+            if (Math.abs(x - size / 2) < ribbonWidth / 2 || Math.abs(y - size / 2) < ribbonWidth / 2) {
+                return ribbon;
+            }
+            const diagonal = (x + y) % stripeSpacing;
+            if (diagonal < stripeSpacing * 0.3) {
+                return stripe;
+            }
+            // Dots sit halfway between stripes
+            const along = (x - y + size) % stripeSpacing - stripeSpacing / 2;
+            const across = diagonal - stripeSpacing * 0.65;
+            return along * along + across * across < dotRadius * dotRadius * 2 ? dot : paper;
+        });
+    },
+};
+
+function colorBytes(color) {
+    return [0, 1, 2, 3].map((i) => Math.round((color[i] !== undefined ? color[i] : 1) * 255));
+}
+
+function fillPixels(width, height, pixel) {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(pixel(x, y), (y * width + x) * 4);
+        }
+    }
+    return { width: width, height: height, data: data };
+}
+
+function isPowerOfTwo(value) {
+    return value > 0 && (value & (value - 1)) === 0;
+}
+
+function nextPowerOfTwo(value) {
+    let result = 1;
+    while (result < value) {
+        result *= 2;
+    }
+    return result;
+}
+
+// Create a texture manager for a WebGL context
+function createTextureManager(gl) {
+    const manager = {
+        gl: gl,
+        entries: new Map(),
+        white: null,
+    };
+
+    manager.white = createWhiteTexture(manager);
+    return manager;
+}
+
+// Bound when a material has no texture, so sampling gives plain white
+function createWhiteTexture(manager) {
+    return uploadTexture(manager, fillPixels(1, 1, () => [255, 255, 255, 255]), { filter: 'nearest' });
+}
+
+// Upload pixels ({ width, height, data }) or an image/canvas into a new
+// texture and set its sampling options
+function uploadTexture(manager, source, options = {}) {
+    const gl = manager.gl;
+    const wrap = TEXTURE_WRAP_MODES[options.wrap || 'repeat'];
+    const filter = TEXTURE_FILTERS[options.filter || 'trilinear'];
+    if (!wrap) {
+        throw new Error('Unknown texture wrap mode "' + options.wrap + '"');
+    }
+    if (!filter) {
+        throw new Error('Unknown texture filter "' + options.filter + '"');
+    }
+
+    const [minFilter, magFilter, mipmaps] = filter;
+    const needsPowerOfTwo = mipmaps || wrap !== 'CLAMP_TO_EDGE';
+    let image = source;
+    if (needsPowerOfTwo && !(isPowerOfTwo(source.width) && isPowerOfTwo(source.height))) {
+        image = resizeToPowerOfTwo(source);
+    }
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    if (image.data) {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, image.width, image.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, image.data);
+    } else {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    }
+
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl[wrap]);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl[wrap]);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl[minFilter]);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl[magFilter]);
+    if (mipmaps) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+    }
+
+    return {
+        texture: texture,
+        width: image.width,
+        height: image.height,
+    };
+}
+
+// Scale an image or pixel block up to power-of-two sides
+function resizeToPowerOfTwo(source) {
+    const width = nextPowerOfTwo(source.width);
+    const height = nextPowerOfTwo(source.height);
+
+    if (source.data) {
+        // Nearest-neighbour is enough for generated patterns
+        return fillPixels(width, height, (x, y) => {
+            const offset = (Math.floor(y * source.height / height) * source.width +
+                Math.floor(x * source.width / width)) * 4;
+            return source.data.subarray(offset, offset + 4);
+        });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+// Texture for a source, uploading it the first time it's asked for.
+// `key` identifies the source; `load` resolves to pixels or an image.
+async function acquireTexture(manager, key, load, options = {}) {
+    const fullKey = key + '|' + (options.wrap || 'repeat') + '|' + (options.filter || 'trilinear');
+    let entry = manager.entries.get(fullKey);
+
+    if (!entry) {
+        // The source is kept reloadable for when the context is lost, and
+        // kept as loaded for exporters to read its pixels
+        entry = { key: fullKey, users: 0, ready: null, load: load, options: options, source: null };
+        entry.ready = Promise.resolve(load()).then((source) => {
+            entry.source = source;
+            Object.assign(entry, uploadTexture(manager, source, options));
+            return entry;
+        });
+        manager.entries.set(fullKey, entry);
+        entry.ready.catch(() => manager.entries.delete(fullKey));
+    }
+
+    entry.users++;
+    return entry.ready;
+}
+
+// Texture from an image file
+function loadTexture(manager, url, options = {}) {
+    return acquireTexture(manager, 'url:' + url, () => loadImage(url), options);
+}
+
+// Texture from one of the PROCEDURAL_TEXTURES patterns
+function proceduralTexture(manager, pattern, options = {}) {
+    const generate = PROCEDURAL_TEXTURES[pattern];
+    if (!generate) {
+        return Promise.reject(new Error('Unknown procedural texture "' + pattern + '"'));
+    }
+    return acquireTexture(manager, 'procedural:' + pattern + ':' + JSON.stringify(options),
+        () => generate(options), options);
+}
+
+// Let go of a texture; the last user to do so frees it
+function releaseTexture(manager, entry) {
+    entry.users--;
+    if (entry.users <= 0 && manager.entries.get(entry.key) === entry) {
+        manager.entries.delete(entry.key);
+        manager.gl.deleteTexture(entry.texture);
+    }
+}
+
+// Upload every texture again into a restored WebGL context, from the same
+// sources. Entries are updated in place, so materials keep theirs.
+function restoreTextures(manager) {
+    manager.white = createWhiteTexture(manager);
+    return Promise.all(Array.from(manager.entries.values(), (entry) =>
+        Promise.resolve(entry.load()).then((source) => {
+            entry.source = source;
+            Object.assign(entry, uploadTexture(manager, source, entry.options));
+        })));
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load image ' + url));
+        image.src = url;
+    });
+}
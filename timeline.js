@@ -0,0 +1,181 @@
+// Keyframe animation
+//
+// A track animates one property of one node (translation, rotation,
+// scale or color) through a list of keyframes:
+//
+//   { "time": 2.5, "value": [x, y, z], "easing": "easeInOut" }
+//
+// A keyframe's easing shapes the segment that leads away from it to the
+// next keyframe: "linear" (the default), "easeIn", "easeOut", "easeInOut",
+// "step" (hold the value until the next keyframe) or "bezier" with
+// "controlPoints": [x1, y1, x2, y2] like a CSS cubic-bezier(). Before the
+// first keyframe and after the last the track holds its end values.
+//
+// The timeline owns the clock every track is sampled against. Times are in
+// seconds.
+
+const TIMELINE_DEFAULT_DURATION = 10;
+
+const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    step: (t) => (t < 1 ? 0 : 1),
+};
+
+// CSS-style cubic bezier easing through (0, 0), (x1, y1), (x2, y2), (1, 1):
+// solve the curve's x for t, then return its y
+function cubicBezier(x1, y1, x2, y2, x) {
+    const curve = (a, b, t) => 3 * a * (1 - t) * (1 - t) * t + 3 * b * (1 - t) * t * t + t * t * t;
+    const slope = (a, b, t) => 3 * a * (1 - t) * (1 - t) + 6 * (b - a) * (1 - t) * t + 3 * (1 - b) * t * t;
+
+    // Newton's method, falling back to bisection where the slope is flat
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+        const error = curve(x1, x2, t) - x;
+        const d = slope(x1, x2, t);
+        if (Math.abs(error) < 1e-6) {
+            return curve(y1, y2, t);
+        }
+        if (Math.abs(d) < 1e-6) {
+            break;
+        }
+        t -= error / d;
+    }
+
+    let low = 0;
+    let high = 1;
+    t = x;
+    for (let i = 0; i < 30; i++) {
+        if (curve(x1, x2, t) < x) {
+            low = t;
+        } else {
+            high = t;
+        }
+        t = (low + high) / 2;
+    }
+    return curve(y1, y2, t);
+}
+
+// Eased progress through the segment that starts at `keyframe`
+function easeKeyframe(keyframe, t) {
+    const easing = keyframe.easing || 'linear';
+    if (easing === 'bezier') {
+        const [x1, y1, x2, y2] = keyframe.controlPoints || [0.25, 0.1, 0.25, 1];
+        return cubicBezier(x1, y1, x2, y2, t);
+    }
+    const ease = EASINGS[easing];
+    if (!ease) {
+        throw new Error('Unknown easing "' + easing + '"');
+    }
+    return ease(t);
+}
+
+// Value of a keyframe list at `time`. Keyframes must be sorted by time.
+function sampleKeyframes(keyframes, time) {
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    if (time <= first.time) {
+        return first.value.slice();
+    }
+    if (time >= last.time) {
+        return last.value.slice();
+    }
+
+    let index = 0;
+    while (keyframes[index + 1].time < time) {
+        index++;
+    }
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+    const t = easeKeyframe(from, (time - from.time) / (to.time - from.time));
+
+    return from.value.map((value, i) => value + (to.value[i] - value) * t);
+}
+
+// Create a timeline
+function createTimeline(options = {}) {
+    return {
+        time: 0,
+        duration: options.duration || TIMELINE_DEFAULT_DURATION,
+        speed: options.speed !== undefined ? options.speed : 1,
+        loop: options.loop !== undefined ? options.loop : true,
+        playing: options.playing !== undefined ? options.playing : true,
+    };
+}
+
+// Move a playing timeline on by `seconds` of real time. Looping timelines
+// wrap around; the others stop at either end.
+function advanceTimeline(timeline, seconds) {
+    if (!timeline.playing) {
+        return;
+    }
+    const time = timeline.time + seconds * timeline.speed;
+    timeline.time = timelineTimeAfter(timeline, seconds);
+    if (!timeline.loop && (time >= timeline.duration || time <= 0)) {
+        timeline.playing = false;
+    }
+}
+
+// Where the timeline would be after another `seconds` of real time, without
+// moving it. The clock advances the timeline in fixed steps; drawing samples
+// it this far past the last step so motion doesn't judder between them.
+function timelineTimeAfter(timeline, seconds) {
+    if (!timeline.playing) {
+        return timeline.time;
+    }
+    const time = timeline.time + seconds * timeline.speed;
+    if (timeline.loop) {
+        return ((time % timeline.duration) + timeline.duration) % timeline.duration;
+    }
+    return Math.min(Math.max(time, 0), timeline.duration);
+}
+
+// Jump to a point on the timeline (scrubbing)
+function seekTimeline(timeline, time) {
+    timeline.time = Math.min(Math.max(time, 0), timeline.duration);
+}
+
+// Start playback, rewinding first if a one-shot timeline has run out
+function playTimeline(timeline) {
+    if (!timeline.loop) {
+        if (timeline.speed > 0 && timeline.time >= timeline.duration) {
+            timeline.time = 0;
+        } else if (timeline.speed < 0 && timeline.time <= 0) {
+            timeline.time = timeline.duration;
+        }
+    }
+    timeline.playing = true;
+}
+
+function pauseTimeline(timeline) {
+    timeline.playing = false;
+}
+
+// Length of a list of keyframe tracks: the time of the latest keyframe
+function keyframeTracksDuration(animations) {
+    let duration = 0;
+    animations.forEach((animation) => {
+        if (animation.type === 'keyframes' && animation.keyframes.length) {
+            duration = Math.max(duration, animation.keyframes[animation.keyframes.length - 1].time);
+        }
+    });
+    return duration;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIMELINE_DEFAULT_DURATION,
+        EASINGS,
+        cubicBezier,
+        sampleKeyframes,
+        createTimeline,
+        advanceTimeline,
+        timelineTimeAfter,
+        seekTimeline,
+        playTimeline,
+        pauseTimeline,
+        keyframeTracksDuration,
+    };
+}
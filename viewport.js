@@ -0,0 +1,54 @@
+// Canvas sizing and fullscreen
+//
+// The page layout decides how big the canvas looks; its drawing buffer is
+// kept at that size times the device pixel ratio, so the picture is never
+// stretched and stays sharp on high-DPI screens. The size is checked every
+// frame, which catches window resizes, layout changes, browser zoom and the
+// window moving to a screen with a different pixel ratio alike.
+//
+// Fullscreen shows the element holding the canvas on its own, filling the
+// screen; the canvas grows with it and the drawing buffer follows.
+
+// Past this the extra pixels cost more fill rate than they're worth
+const VIEWPORT_MAX_PIXEL_RATIO = 2;
+
+// Create a viewport for `canvas`. `container` is what goes fullscreen.
+function createViewport(canvas, options = {}) {
+    return {
+        canvas: canvas,
+        container: options.container || canvas,
+        maxPixelRatio: options.maxPixelRatio || VIEWPORT_MAX_PIXEL_RATIO,
+        pixelRatio: 1,
+    };
+}
+
+// Match the canvas's drawing buffer to its displayed size in device pixels.
+// Returns whether the size changed.
+function resizeViewport(viewport) {
+    const canvas = viewport.canvas;
+    viewport.pixelRatio = Math.min(window.devicePixelRatio || 1, viewport.maxPixelRatio);
+    const width = Math.max(1, Math.round(canvas.clientWidth * viewport.pixelRatio));
+    const height = Math.max(1, Math.round(canvas.clientHeight * viewport.pixelRatio));
+
+    if (canvas.width === width && canvas.height === height) {
+        return false;
+    }
+    canvas.width = width;
+    canvas.height = height;
+    return true;
+}
+
+function isFullscreen(viewport) {
+    return document.fullscreenElement === viewport.container;
+}
+
+// Enter or leave fullscreen. Resolves once the browser has switched.
+function toggleFullscreen(viewport) {
+    if (isFullscreen(viewport)) {
+        return document.exitFullscreen();
+    }
+    if (!document.fullscreenEnabled) {
+        return Promise.reject(new Error('Fullscreen is not available in this browser'));
+    }
+    return viewport.container.requestFullscreen();
+}